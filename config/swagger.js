@@ -26,6 +26,17 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT'
         }
+      },
+      parameters: {
+        OrganizationHeader: {
+          in: 'header',
+          name: 'X-Organization-Id',
+          description: "Organization to work in; defaults to the caller's personal organization",
+          schema: {
+            type: 'string',
+            format: 'uuid'
+          }
+        }
       }
     },
     security: [
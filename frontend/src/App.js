@@ -5,8 +5,18 @@ import PrivateRoute from './components/PrivateRoute';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import OidcCallback from './pages/OidcCallback';
 import Dashboard from './pages/Dashboard';
 import Products from './pages/Products';
+import Security from './pages/Security';
+import Settings from './pages/Settings';
+import Users from './pages/Users';
+import UserDetail from './pages/UserDetail';
+import Organizations from './pages/Organizations';
+import Categories from './pages/Categories';
 import './App.css';
 
 function App() {
@@ -19,6 +29,10 @@ function App() {
             <Routes>
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/oidc/callback" element={<OidcCallback />} />
               <Route
                 path="/dashboard"
                 element={
@@ -35,6 +49,54 @@ function App() {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/organizations"
+                element={
+                  <PrivateRoute>
+                    <Organizations />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/categories"
+                element={
+                  <PrivateRoute>
+                    <Categories />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/users"
+                element={
+                  <PrivateRoute>
+                    <Users />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/users/:id"
+                element={
+                  <PrivateRoute>
+                    <UserDetail />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/security"
+                element={
+                  <PrivateRoute>
+                    <Security />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/settings"
+                element={
+                  <PrivateRoute>
+                    <Settings />
+                  </PrivateRoute>
+                }
+              />
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
             </Routes>
           </div>
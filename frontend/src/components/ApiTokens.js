@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const ApiTokens = () => {
+  const [apiTokens, setApiTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [formData, setFormData] = useState({
+    name: '',
+    scopes: [],
+    expiresInDays: 30
+  });
+  const [newToken, setNewToken] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await api.get('/auth/tokens');
+      setApiTokens(response.data.data.apiTokens);
+      setAvailableScopes(response.data.data.availableScopes);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch API tokens');
+    }
+  };
+
+  const handleScopeChange = (scope) => {
+    setFormData({
+      ...formData,
+      scopes: formData.scopes.includes(scope)
+        ? formData.scopes.filter(s => s !== scope)
+        : [...formData.scopes, scope]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNewToken('');
+
+    try {
+      const response = await api.post('/auth/tokens', {
+        ...formData,
+        expiresInDays: parseInt(formData.expiresInDays)
+      });
+      setNewToken(response.data.data.token);
+      setFormData({ name: '', scopes: [], expiresInDays: 30 });
+      fetchTokens();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to create API token');
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/auth/tokens/${id}`);
+      fetchTokens();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke API token');
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>API Tokens</h2>
+      <p>Personal access tokens let scripts call the API as you, limited to the scopes you choose.</p>
+      {error && <div className="alert alert-error">{error}</div>}
+      {newToken && (
+        <div className="alert alert-success">
+          Copy your new token now, it will not be shown again.
+          <pre className="recovery-codes">{newToken}</pre>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} style={{ marginTop: '15px' }}>
+        <div className="form-group">
+          <label htmlFor="tokenName">Name</label>
+          <input
+            type="text"
+            id="tokenName"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Scopes</label>
+          {availableScopes.map(scope => (
+            <label key={scope} style={{ display: 'block', fontWeight: 'normal' }}>
+              <input
+                type="checkbox"
+                checked={formData.scopes.includes(scope)}
+                onChange={() => handleScopeChange(scope)}
+                style={{ width: 'auto', marginRight: '8px' }}
+              />
+              {scope}
+            </label>
+          ))}
+        </div>
+        <div className="form-group">
+          <label htmlFor="expiresInDays">Expires in (days)</label>
+          <input
+            type="number"
+            id="expiresInDays"
+            min="1"
+            max="365"
+            value={formData.expiresInDays}
+            onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+            required
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Create Token
+        </button>
+      </form>
+
+      {apiTokens.length > 0 && (
+        <table className="table" style={{ marginTop: '20px' }}>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Token</th>
+              <th>Scopes</th>
+              <th>Expires</th>
+              <th>Last Used</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiTokens.map(apiToken => (
+              <tr key={apiToken.id}>
+                <td>{apiToken.name}</td>
+                <td><code>{apiToken.tokenPrefix}…</code></td>
+                <td>{apiToken.scopes.join(', ')}</td>
+                <td>{new Date(apiToken.expiresAt).toLocaleDateString()}</td>
+                <td>{apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).toLocaleString() : 'Never'}</td>
+                <td>
+                  <button className="btn btn-danger" onClick={() => handleRevoke(apiToken.id)}>
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokens;
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Two-factor enrollment: shows the otpauth URI, confirms a first code
+ * and then displays the recovery codes once.
+ */
+const MfaSetup = ({ mfaToken, onComplete }) => {
+  const { startMfaSetup, confirmMfaSetup } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    begin();
+  }, []);
+
+  const begin = async () => {
+    const result = await startMfaSetup(mfaToken);
+    if (result.success) {
+      setSetup(result);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await confirmMfaSetup(code, mfaToken);
+
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div>
+        <div className="alert alert-success">Two-factor authentication is enabled.</div>
+        <p>Save these recovery codes. Each one can be used once if you lose your authenticator.</p>
+        <pre className="recovery-codes">{recoveryCodes.join('\n')}</pre>
+        <button type="button" className="btn btn-primary" onClick={onComplete} style={{ width: '100%' }}>
+          I have saved my codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && <div className="alert alert-error">{error}</div>}
+      {setup && (
+        <>
+          <p>Add this account to your authenticator app using the link or the secret key below.</p>
+          <p><a href={setup.otpauthUri}>Open in authenticator app</a></p>
+          <pre className="recovery-codes">{setup.secret}</pre>
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="code">Code from your app</label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={loading} style={{ width: '100%' }}>
+              {loading ? 'Verifying...' : 'Enable Two-Factor Authentication'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MfaSetup;
@@ -3,7 +3,17 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 const Navbar = () => {
-  const { isAuthenticated, user, logout } = useAuth();
+  const {
+    isAuthenticated,
+    user,
+    logout,
+    impersonation,
+    endImpersonation,
+    hasPermission,
+    organizations,
+    activeOrganization,
+    switchOrganization
+  } = useAuth();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -11,31 +21,69 @@ const Navbar = () => {
     navigate('/login');
   };
 
+  const handleEndImpersonation = async () => {
+    await endImpersonation();
+    navigate('/dashboard');
+  };
+
   return (
-    <nav className="navbar">
-      <div className="navbar-content">
-        <Link to="/" className="navbar-brand">
-          PrimeTrade
-        </Link>
-        <div className="navbar-links">
-          {isAuthenticated ? (
-            <>
-              <Link to="/dashboard">Dashboard</Link>
-              <Link to="/products">Products</Link>
-              <span>Welcome, {user?.username} {user?.role === 'admin' && '(Admin)'}</span>
-              <button onClick={handleLogout}>Logout</button>
-            </>
-          ) : (
-            <>
-              <Link to="/login">Login</Link>
-              <Link to="/register">Register</Link>
-            </>
-          )}
+    <>
+      {impersonation && (
+        <div className="impersonation-banner">
+          <span>
+            You are viewing the app as <strong>{user?.username}</strong> ({user?.email}).
+            Signed in as {impersonation.impersonator.username}; changes you make are recorded under both accounts.
+          </span>
+          <button onClick={handleEndImpersonation}>End impersonation</button>
         </div>
-      </div>
-    </nav>
+      )}
+      <nav className="navbar">
+        <div className="navbar-content">
+          <Link to="/" className="navbar-brand">
+            PrimeTrade
+          </Link>
+          <div className="navbar-links">
+            {isAuthenticated ? (
+              <>
+                <Link to="/dashboard">Dashboard</Link>
+                <Link to="/products">Products</Link>
+                <Link to="/organizations">Organizations</Link>
+                {!impersonation && hasPermission('categories:manage') && <Link to="/categories">Categories</Link>}
+                {!impersonation && hasPermission('users:read') && <Link to="/users">Users</Link>}
+                {!impersonation && (
+                  <>
+                    <Link to="/settings">Settings</Link>
+                    <Link to="/security">Security</Link>
+                  </>
+                )}
+                {organizations.length > 0 && (
+                  <select
+                    className="org-switcher"
+                    aria-label="Organization"
+                    value={activeOrganization?.id || ''}
+                    onChange={(e) => switchOrganization(e.target.value)}
+                  >
+                    {organizations.map(organization => (
+                      <option key={organization.id} value={organization.id}>
+                        {organization.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <span>Welcome, {user?.username} {user?.role === 'admin' && '(Admin)'}</span>
+                <button onClick={handleLogout}>Logout</button>
+              </>
+            ) : (
+              <>
+                <Link to="/login">Login</Link>
+                <Link to="/register">Register</Link>
+              </>
+            )}
+          </div>
+        </div>
+      </nav>
+    </>
   );
 };
 
 export default Navbar;
-
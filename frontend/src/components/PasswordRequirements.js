@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+// Hint under a new-password field, built from the server's password policy
+const PasswordRequirements = ({ showHistory = false }) => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    api.get('/auth/password-policy')
+      .then(response => setPolicy(response.data.data.policy))
+      .catch(() => setPolicy(null));
+  }, []);
+
+  if (!policy) {
+    return null;
+  }
+
+  const classes = [
+    policy.requireUppercase && 'an uppercase letter',
+    policy.requireLowercase && 'a lowercase letter',
+    policy.requireDigit && 'a number',
+    policy.requireSymbol && 'a symbol'
+  ].filter(Boolean);
+
+  const classText = classes.length > 1
+    ? `${classes.slice(0, -1).join(', ')} and ${classes[classes.length - 1]}`
+    : classes[0];
+
+  return (
+    <small style={{ color: '#666', fontSize: '12px' }}>
+      At least {policy.minLength} characters{classText && `, with ${classText}`}.
+      {policy.breachedPasswordCheck && ' Passwords known from data breaches are not accepted.'}
+      {showHistory && policy.historyCount > 0 && ` You cannot reuse your last ${policy.historyCount} passwords.`}
+    </small>
+  );
+};
+
+export default PasswordRequirements;
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const MOVEMENT_TYPES = [
+  { value: 'receipt', label: 'Receipt' },
+  { value: 'sale', label: 'Sale' },
+  { value: 'return', label: 'Return' },
+  { value: 'adjustment', label: 'Adjustment (+/-)' }
+];
+
+const EMPTY_MOVEMENT = { type: 'receipt', quantity: '', variantId: '', reason: '' };
+
+/**
+ * Stock ledger of a saved product: records receipts, sales, returns and
+ * adjustments, lists past movements and checks the stock against them.
+ * Reports the product's new stock through onChange.
+ */
+const StockMovements = ({ productId, refreshKey, onChange }) => {
+  const [movements, setMovements] = useState([]);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [formData, setFormData] = useState(EMPTY_MOVEMENT);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchMovements();
+  }, [productId, refreshKey, page]);
+
+  const fetchMovements = async () => {
+    try {
+      const response = await api.get(`/products/${productId}/stock-movements`, { params: { page, limit: 10 } });
+      setMovements(response.data.data.movements);
+      setReconciliation(response.data.data.reconciliation);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch stock movements');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await api.post(`/products/${productId}/stock-movements`, {
+        type: formData.type,
+        quantity: parseInt(formData.quantity),
+        variantId: formData.variantId || null,
+        reason: formData.reason || null
+      });
+      setFormData({ ...EMPTY_MOVEMENT, variantId: formData.variantId });
+      onChange({ stock: response.data.data.stock });
+      if (page === 1) {
+        fetchMovements();
+      } else {
+        setPage(1);
+      }
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to record stock movement');
+    }
+  };
+
+  const variants = reconciliation?.variants || [];
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3>Stock Movements</h3>
+      {error && <div className="alert alert-error">{error}</div>}
+      {reconciliation && (
+        <div className={`alert ${reconciliation.balanced ? 'alert-success' : 'alert-error'}`}>
+          Stock {reconciliation.stock}, movements total {reconciliation.movementTotal}
+          {reconciliation.balanced ? ' (balanced)' : ` (off by ${reconciliation.difference})`}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <div className="form-group">
+          <label htmlFor="movementType">Type</label>
+          <select id="movementType" name="type" value={formData.type} onChange={handleInputChange}>
+            {MOVEMENT_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="movementQuantity">Quantity</label>
+          <input
+            type="number"
+            id="movementQuantity"
+            name="quantity"
+            value={formData.quantity}
+            onChange={handleInputChange}
+            min={formData.type === 'adjustment' ? undefined : '1'}
+            required
+          />
+        </div>
+        {variants.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="movementVariant">Variant</label>
+            <select id="movementVariant" name="variantId" value={formData.variantId} onChange={handleInputChange} required>
+              <option value="">Choose a variant</option>
+              {variants.map(variant => (
+                <option key={variant.id} value={variant.id}>{variant.sku}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="form-group" style={{ flex: 1 }}>
+          <label htmlFor="movementReason">Reason{formData.type === 'adjustment' ? ' *' : ''}</label>
+          <input
+            type="text"
+            id="movementReason"
+            name="reason"
+            value={formData.reason}
+            onChange={handleInputChange}
+            maxLength="500"
+            required={formData.type === 'adjustment'}
+          />
+        </div>
+        <div className="form-group">
+          <button type="submit" className="btn btn-primary">Record</button>
+        </div>
+      </form>
+
+      {movements.length > 0 && (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Type</th>
+              {variants.length > 0 && <th>Variant</th>}
+              <th>Change</th>
+              <th>Stock after</th>
+              <th>Reason</th>
+              <th>By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {movements.map(movement => (
+              <tr key={movement.id}>
+                <td>{new Date(movement.createdAt).toLocaleString()}</td>
+                <td>{movement.type}</td>
+                {variants.length > 0 && <td>{movement.variant?.sku || '-'}</td>}
+                <td>{movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}</td>
+                <td>{movement.stockAfter}</td>
+                <td>{movement.reason || '-'}</td>
+                <td>{movement.user?.username || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {pagination.pages > 1 && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px' }}>
+          <button type="button" className="btn btn-secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            Newer
+          </button>
+          <span>Page {page} of {pagination.pages}</span>
+          <button type="button" className="btn btn-secondary" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockMovements;
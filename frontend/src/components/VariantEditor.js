@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const EMPTY_VARIANT = { sku: '', options: '', price: '', stock: '0' };
+
+// Options are edited as "size: M, color: Red"
+const formatOptions = (options) => Object.entries(options || {})
+  .map(([name, value]) => `${name}: ${value}`)
+  .join(', ');
+
+const parseOptions = (text) => Object.fromEntries(
+  text.split(',')
+    .filter(pair => pair.trim())
+    .map(pair => {
+      const [name, ...value] = pair.split(':');
+      return [name.trim(), value.join(':').trim()];
+    })
+);
+
+const toRow = (variant) => ({
+  id: variant.id,
+  sku: variant.sku,
+  options: formatOptions(variant.options),
+  price: variant.price,
+  stock: String(variant.stock)
+});
+
+const toPayload = (row) => ({
+  sku: row.sku,
+  options: parseOptions(row.options),
+  price: row.price
+});
+
+/**
+ * Variants of a saved product, edited row by row. Stock is only set when a
+ * variant is added; later changes are stock movements. Every change reports
+ * the product's new stock total and number of variants through onChange.
+ */
+const VariantEditor = ({ productId, refreshKey, onChange }) => {
+  const [rows, setRows] = useState([]);
+  const [newVariant, setNewVariant] = useState(EMPTY_VARIANT);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchVariants();
+  }, [productId, refreshKey]);
+
+  const fetchVariants = async () => {
+    try {
+      const response = await api.get(`/products/${productId}/variants`);
+      setRows(response.data.data.variants.map(toRow));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch variants');
+    }
+  };
+
+  const errorMessage = (err, fallback) => (
+    err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback
+  );
+
+  const handleRowChange = (id, field, value) => {
+    setRows(rows.map(row => (row.id === id ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = async (row) => {
+    setError('');
+    try {
+      const response = await api.put(`/products/${productId}/variants/${row.id}`, toPayload(row));
+      const { variant, totalStock } = response.data.data;
+      setRows(rows.map(existing => (existing.id === row.id ? toRow(variant) : existing)));
+      onChange({ totalStock, variantCount: rows.length });
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update variant'));
+    }
+  };
+
+  const handleDelete = async (row) => {
+    if (!window.confirm(`Delete variant ${row.sku}?`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      const response = await api.delete(`/products/${productId}/variants/${row.id}`);
+      setRows(rows.filter(existing => existing.id !== row.id));
+      onChange({ totalStock: response.data.data.totalStock, variantCount: rows.length - 1 });
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete variant'));
+    }
+  };
+
+  const handleAdd = async () => {
+    setError('');
+    try {
+      const response = await api.post(`/products/${productId}/variants`, {
+        ...toPayload(newVariant),
+        stock: parseInt(newVariant.stock) || 0
+      });
+      const { variant, totalStock } = response.data.data;
+      setRows([...rows, toRow(variant)]);
+      setNewVariant(EMPTY_VARIANT);
+      onChange({ totalStock, variantCount: rows.length + 1 });
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to add variant'));
+    }
+  };
+
+  const cellInput = (value, onValueChange, props = {}) => (
+    <input
+      value={value}
+      onChange={(e) => onValueChange(e.target.value)}
+      style={{ padding: '6px' }}
+      {...props}
+    />
+  );
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3>Variants</h3>
+      <p>Once a product has variants, its stock is the total of theirs. Record stock movements below to change it.</p>
+      {error && <div className="alert alert-error">{error}</div>}
+      <table className="table">
+        <thead>
+          <tr>
+            <th>SKU</th>
+            <th>Options</th>
+            <th>Price</th>
+            <th>Stock</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id}>
+              <td>{cellInput(row.sku, (value) => handleRowChange(row.id, 'sku', value))}</td>
+              <td>{cellInput(row.options, (value) => handleRowChange(row.id, 'options', value))}</td>
+              <td>{cellInput(row.price, (value) => handleRowChange(row.id, 'price', value), { type: 'number', step: '0.01', min: '0' })}</td>
+              <td>{row.stock}</td>
+              <td>
+                <div className="product-actions">
+                  <button type="button" className="btn btn-secondary" onClick={() => handleSave(row)}>
+                    Save
+                  </button>
+                  <button type="button" className="btn btn-danger" onClick={() => handleDelete(row)}>
+                    Delete
+                  </button>
+                </div>
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td>{cellInput(newVariant.sku, (value) => setNewVariant({ ...newVariant, sku: value }), { placeholder: 'SKU' })}</td>
+            <td>{cellInput(newVariant.options, (value) => setNewVariant({ ...newVariant, options: value }), { placeholder: 'size: M, color: Red' })}</td>
+            <td>{cellInput(newVariant.price, (value) => setNewVariant({ ...newVariant, price: value }), { type: 'number', step: '0.01', min: '0' })}</td>
+            <td>{cellInput(newVariant.stock, (value) => setNewVariant({ ...newVariant, stock: value }), { type: 'number', min: '0' })}</td>
+            <td>
+              <div className="product-actions">
+                <button type="button" className="btn btn-primary" onClick={handleAdd}>
+                  Add
+                </button>
+              </div>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default VariantEditor;
@@ -1,5 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import api from '../services/api';
+import api, { restoreImpersonatorTokens } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -13,6 +13,15 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  // Permission keys granted by the user's role, e.g. 'products:update:any'
+  const [permissions, setPermissions] = useState([]);
+  // Set while an admin views the app as another user: { id, expiresAt, impersonator }
+  const [impersonation, setImpersonation] = useState(null);
+  // Organizations the user belongs to, each with the user's role in it
+  const [organizations, setOrganizations] = useState([]);
+  // Invitations to join other organizations, each with the role offered
+  const [invitations, setInvitations] = useState([]);
+  const [organizationId, setOrganizationId] = useState(localStorage.getItem('organizationId'));
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
 
@@ -27,10 +36,47 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  useEffect(() => {
+    if (user) {
+      fetchOrganizations();
+    } else {
+      setOrganizations([]);
+      setInvitations([]);
+    }
+  }, [user?.id]);
+
+  const fetchOrganizations = async () => {
+    try {
+      const response = await api.get('/organizations');
+      const list = response.data.data.organizations;
+      setOrganizations(list);
+      setInvitations(response.data.data.invitations || []);
+
+      // Fall back to the personal organization if the stored one is gone
+      if (!list.some(organization => organization.id === localStorage.getItem('organizationId'))) {
+        switchOrganization(list[0]?.id || null);
+      }
+    } catch (error) {
+      setOrganizations([]);
+      setInvitations([]);
+    }
+  };
+
+  const switchOrganization = (id) => {
+    if (id) {
+      localStorage.setItem('organizationId', id);
+    } else {
+      localStorage.removeItem('organizationId');
+    }
+    setOrganizationId(id);
+  };
+
   const fetchUserProfile = async () => {
     try {
       const response = await api.get('/auth/me');
       setUser(response.data.data.user);
+      setPermissions(response.data.data.permissions);
+      setImpersonation(response.data.data.impersonation || null);
     } catch (error) {
       // Token is invalid, clear it
       logout();
@@ -39,34 +85,49 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const startSession = (user, token, refreshToken) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    setToken(token);
+    setUser(user);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  };
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { user, token } = response.data.data;
+      const { user, token, refreshToken, mfaRequired, mfaSetupRequired, mfaToken } = response.data.data;
+
+      // Password was correct but a second step is needed before a session exists
+      if (mfaRequired || mfaSetupRequired) {
+        return { success: false, mfaRequired, mfaSetupRequired, mfaToken };
+      }
       
-      localStorage.setItem('token', token);
-      setToken(token);
-      setUser(user);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      startSession(user, token, refreshToken);
       
       return { success: true };
     } catch (error) {
       return {
         success: false,
+        status: error.response?.status,
+        retryAfter: error.response?.data?.retryAfter,
         message: error.response?.data?.message || 'Login failed. Please try again.'
       };
     }
   };
 
-  const register = async (username, email, password) => {
+  // inviteToken comes from an invitation link and is required in invite-only mode
+  const register = async (username, email, password, inviteToken) => {
     try {
-      const response = await api.post('/auth/register', { username, email, password });
-      const { user, token } = response.data.data;
+      const response = await api.post('/auth/register', { username, email, password, inviteToken });
+      const { user, token, refreshToken } = response.data.data;
+
+      // No token is issued until the email address is verified
+      if (!token) {
+        return { success: true, verificationRequired: true, message: response.data.message };
+      }
       
-      localStorage.setItem('token', token);
-      setToken(token);
-      setUser(user);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      startSession(user, token, refreshToken);
       
       return { success: true };
     } catch (error) {
@@ -78,10 +139,123 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyMfa = async (mfaToken, { code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/mfa/verify', { mfaToken, code, recoveryCode });
+      const { user, token, refreshToken } = response.data.data;
+
+      startSession(user, token, refreshToken);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        retryAfter: error.response?.data?.retryAfter,
+        message: error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Verification failed. Please try again.'
+      };
+    }
+  };
+
+  // mfaToken is only passed when enrollment is forced during login
+  const startMfaSetup = async (mfaToken) => {
+    try {
+      const response = await api.post('/auth/mfa/setup', { mfaToken });
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Could not start two-factor setup.'
+      };
+    }
+  };
+
+  const confirmMfaSetup = async (code, mfaToken) => {
+    try {
+      const response = await api.post('/auth/mfa/confirm', { code, mfaToken });
+      const { recoveryCodes, user, token, refreshToken } = response.data.data;
+
+      if (token) {
+        startSession(user, token, refreshToken);
+      } else {
+        await fetchUserProfile();
+      }
+
+      return { success: true, recoveryCodes };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Invalid two-factor code.'
+      };
+    }
+  };
+
+  // Tokens arrive in the URL fragment after the single sign-on redirect
+  const completeSsoLogin = async (token, refreshToken) => {
+    try {
+      const response = await api.get('/auth/me', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      startSession(response.data.data.user, token, refreshToken);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Single sign-on failed. Please try again.'
+      };
+    }
+  };
+
+  // The admin's tokens are set aside and restored by endImpersonation
+  const startImpersonation = async (userId, reason) => {
+    try {
+      const response = await api.post(`/users/${userId}/impersonate`, { reason });
+      const { token: impersonationToken } = response.data.data;
+
+      localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+      localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
+      localStorage.setItem('impersonatorOrganizationId', localStorage.getItem('organizationId') || '');
+      localStorage.setItem('token', impersonationToken);
+      localStorage.removeItem('refreshToken');
+      switchOrganization(null);
+      api.defaults.headers.common['Authorization'] = `Bearer ${impersonationToken}`;
+      setToken(impersonationToken);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Could not start impersonation.'
+      };
+    }
+  };
+
+  const endImpersonation = async () => {
+    await api.delete('/auth/impersonation').catch(() => {});
+    const adminToken = restoreImpersonatorTokens();
+    api.defaults.headers.common['Authorization'] = `Bearer ${adminToken}`;
+    setOrganizationId(localStorage.getItem('organizationId'));
+    setImpersonation(null);
+    setToken(adminToken);
+  };
+
   const logout = () => {
+    // While impersonating, signing out ends the admin's own session
+    const refreshToken = localStorage.getItem('refreshToken') || localStorage.getItem('impersonatorRefreshToken');
+    if (refreshToken) {
+      // Revoke the session server-side; local state is cleared regardless
+      api.post('/auth/logout', { refreshToken }).catch(() => {});
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('impersonatorToken');
+    localStorage.removeItem('impersonatorRefreshToken');
+    localStorage.removeItem('impersonatorOrganizationId');
+    localStorage.removeItem('organizationId');
     setToken(null);
     setUser(null);
+    setPermissions([]);
+    setImpersonation(null);
+    setOrganizationId(null);
     delete api.defaults.headers.common['Authorization'];
   };
 
@@ -91,9 +265,25 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     register,
+    verifyMfa,
+    startMfaSetup,
+    confirmMfaSetup,
+    completeSsoLogin,
+    startImpersonation,
+    endImpersonation,
+    impersonation,
+    organizations,
+    invitations,
+    activeOrganization: organizations.find(organization => organization.id === organizationId) || null,
+    switchOrganization,
+    refreshOrganizations: fetchOrganizations,
+    refreshUser: fetchUserProfile,
+    updateUser: setUser,
     logout,
     isAuthenticated: !!token && !!user,
-    isAdmin: user?.role === 'admin'
+    isAdmin: user?.role === 'admin',
+    permissions,
+    hasPermission: (permission) => permissions.includes(permission)
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const EMPTY_FORM = { name: '', slug: '', parentId: '' };
+
+const Categories = () => {
+  const [categories, setCategories] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [mergeInto, setMergeInto] = useState('');
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await api.get('/categories');
+      setCategories(response.data.data.categories);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch categories');
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const run = async (action, fallback) => {
+    setError('');
+    try {
+      const response = await action();
+      showSuccess(response.data.message);
+      fetchCategories();
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback);
+      return null;
+    }
+  };
+
+  // A category cannot move below itself, so hide it and its subtree as parents
+  const isInSubtree = (category, root) => {
+    const byId = new Map(categories.map(candidate => [candidate.id, candidate]));
+    for (let current = category; current; current = byId.get(current.parentId)) {
+      if (current.id === root.id) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const handleInputChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleEdit = (category) => {
+    setEditing(category);
+    setMergeInto('');
+    setFormData({ name: category.name, slug: category.slug, parentId: category.parentId || '' });
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setMergeInto('');
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      parentId: formData.parentId || null,
+      ...(formData.slug && { slug: formData.slug })
+    };
+    const response = editing
+      ? await run(() => api.patch(`/categories/${editing.id}`, payload), 'Failed to update category')
+      : await run(() => api.post('/categories', payload), 'Failed to create category');
+    if (response) {
+      resetForm();
+    }
+  };
+
+  const handleDelete = async (category, target = null) => {
+    const question = target
+      ? `Move the products of ${category.path} to ${target.path} and delete ${category.name}?`
+      : `Delete ${category.path}? Its products will have no category.`;
+    if (!window.confirm(question)) {
+      return;
+    }
+    const query = target ? `?reassignTo=${target.id}` : '';
+    const response = await run(() => api.delete(`/categories/${category.id}${query}`), 'Failed to delete category');
+    if (response && editing?.id === category.id) {
+      resetForm();
+    }
+  };
+
+  const parentOptions = editing ? categories.filter(category => !isInSubtree(category, editing)) : categories;
+
+  return (
+    <div>
+      <div className="dashboard-header">
+        <h1>Categories</h1>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="card">
+        <h2>{editing ? `Edit ${editing.path}` : 'Add Category'}</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="name">Name</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              maxLength="100"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="slug">Slug</label>
+            <input
+              type="text"
+              id="slug"
+              name="slug"
+              placeholder="Generated from the name when left empty"
+              value={formData.slug}
+              onChange={handleInputChange}
+              maxLength="120"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="parentId">Parent</label>
+            <select id="parentId" name="parentId" value={formData.parentId} onChange={handleInputChange}>
+              <option value="">None (top level)</option>
+              {parentOptions.map(category => (
+                <option key={category.id} value={category.id}>{category.path}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button type="submit" className="btn btn-primary">
+              {editing ? 'Save' : 'Add Category'}
+            </button>
+            {editing && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {editing && (
+          <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+            <select value={mergeInto} onChange={(e) => setMergeInto(e.target.value)} style={{ flex: 1 }}>
+              <option value="">Merge into another category...</option>
+              {categories.filter(category => category.id !== editing.id).map(category => (
+                <option key={category.id} value={category.id}>{category.path}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn btn-danger"
+              disabled={!mergeInto}
+              onClick={() => handleDelete(editing, categories.find(category => category.id === mergeInto))}
+            >
+              Merge
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Slug</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.length === 0 && (
+              <tr>
+                <td colSpan="3">No categories yet.</td>
+              </tr>
+            )}
+            {categories.map(category => (
+              <tr key={category.id}>
+                <td style={{ paddingLeft: `${12 + category.depth * 20}px` }}>{category.name}</td>
+                <td>{category.slug}</td>
+                <td>
+                  <div className="product-actions">
+                    <button className="btn btn-secondary" onClick={() => handleEdit(category)}>
+                      Edit
+                    </button>
+                    <button className="btn btn-danger" onClick={() => handleDelete(category)}>
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
@@ -65,7 +65,7 @@ const Dashboard = () => {
       <div className="card">
         <h2>Welcome, {user?.username}!</h2>
         <p>Email: {user?.email}</p>
-        <p>Role: {user?.role === 'admin' ? 'Administrator' : 'User'}</p>
+        <p>Role: {user?.role === 'admin' ? 'Administrator' : user?.role?.replace(/_/g, ' ')}</p>
         <p style={{ marginTop: '20px' }}>
           Use the navigation menu to manage your products.
         </p>
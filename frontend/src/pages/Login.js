@@ -1,17 +1,44 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import MfaSetup from '../components/MfaSetup';
+import api from '../services/api';
 
 const Login = () => {
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
-  const [error, setError] = useState('');
+  const [error, setError] = useState(searchParams.get('ssoError') || '');
+  const [info, setInfo] = useState('');
+  const [unverified, setUnverified] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Second step after a correct password: 'verify' a code or 'setup' 2FA first
+  const [mfaStep, setMfaStep] = useState(null);
+  const [mfaToken, setMfaToken] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Seconds left before the server accepts another attempt (423/429)
+  const [retryIn, setRetryIn] = useState(0);
+  const [sso, setSso] = useState(null);
+  const { login, verifyMfa } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    api.get('/auth/oidc/config')
+      .then((response) => setSso(response.data.data))
+      .catch(() => setSso(null));
+  }, []);
+
+  useEffect(() => {
+    if (retryIn <= 0) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setRetryIn(retryIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryIn]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -20,27 +47,127 @@ const Login = () => {
     setError('');
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification', { email: formData.email });
+      setError('');
+      setUnverified(false);
+      setInfo(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not resend verification email');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setInfo('');
     setLoading(true);
 
     const result = await login(formData.email, formData.password);
 
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.mfaToken) {
+      setMfaToken(result.mfaToken);
+      setMfaStep(result.mfaRequired ? 'verify' : 'setup');
     } else {
       setError(result.message);
+      setUnverified(result.status === 403);
+      if (result.status === 423 || result.status === 429) {
+        setRetryIn(result.retryAfter || 0);
+      }
     }
 
     setLoading(false);
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyMfa(
+      mfaToken,
+      useRecoveryCode ? { recoveryCode: mfaCode } : { code: mfaCode }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.message);
+      if (result.retryAfter) {
+        setRetryIn(result.retryAfter);
+      }
+    }
+
+    setLoading(false);
+  };
+
+  if (mfaStep === 'setup') {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Set Up Two-Factor Authentication</h2>
+          <p>Your account requires two-factor authentication before you can continue.</p>
+          <MfaSetup mfaToken={mfaToken} onComplete={() => navigate('/dashboard')} />
+        </div>
+      </div>
+    );
+  }
+
+  if (mfaStep === 'verify') {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Two-Factor Authentication</h2>
+          {error && <div className="alert alert-error">{error}</div>}
+          <form onSubmit={handleMfaSubmit}>
+            <div className="form-group">
+              <label htmlFor="mfaCode">{useRecoveryCode ? 'Recovery code' : 'Code from your authenticator app'}</label>
+              <input
+                type="text"
+                id="mfaCode"
+                name="mfaCode"
+                autoComplete="one-time-code"
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={loading || retryIn > 0} style={{ width: '100%' }}>
+              {retryIn > 0 ? `Try again in ${retryIn}s` : loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+          <p>
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setMfaCode('');
+                setError('');
+              }}
+            >
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
         <h2>Login</h2>
         {error && <div className="alert alert-error">{error}</div>}
+        {info && <div className="alert alert-success">{info}</div>}
+        {unverified && (
+          <button type="button" className="btn btn-secondary" onClick={handleResendVerification} style={{ width: '100%', marginBottom: '15px' }}>
+            Resend verification email
+          </button>
+        )}
         <form onSubmit={handleSubmit}>
           <div className="form-group">
             <label htmlFor="email">Email</label>
@@ -64,10 +191,21 @@ const Login = () => {
               required
             />
           </div>
-          <button type="submit" className="btn btn-primary" disabled={loading} style={{ width: '100%' }}>
-            {loading ? 'Logging in...' : 'Login'}
+          <button type="submit" className="btn btn-primary" disabled={loading || retryIn > 0} style={{ width: '100%' }}>
+            {retryIn > 0 ? `Try again in ${retryIn}s` : loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+        {sso?.enabled && (
+          <a
+            href={`${api.defaults.baseURL}/auth/oidc/login`}
+            className="btn btn-secondary sso-button"
+          >
+            Sign in with {sso.providerName}
+          </a>
+        )}
+        <p>
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
         <p>
           Don't have an account? <Link to="/register">Register here</Link>
         </p>
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const OidcCallback = () => {
+  const [error, setError] = useState('');
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    complete();
+  }, []);
+
+  const complete = async () => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('token');
+    const refreshToken = params.get('refreshToken');
+
+    // Drop the tokens from the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!token || !refreshToken) {
+      setError('Single sign-on failed. Please try again.');
+      return;
+    }
+
+    const result = await completeSsoLogin(token, refreshToken);
+    if (result.success) {
+      navigate('/dashboard', { replace: true });
+    } else {
+      setError(result.message);
+    }
+  };
+
+  if (!error) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Signing you in...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Single Sign-On</h2>
+        <div className="alert alert-error">{error}</div>
+        <p>
+          <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
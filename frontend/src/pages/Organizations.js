@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const Organizations = () => {
+  const { user, organizations, invitations, activeOrganization, switchOrganization, refreshOrganizations } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [newName, setNewName] = useState('');
+  const [rename, setRename] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'viewer' });
+
+  const isOwner = activeOrganization?.role === 'owner';
+
+  useEffect(() => {
+    if (activeOrganization) {
+      setRename(activeOrganization.name);
+      fetchMembers();
+    }
+  }, [activeOrganization?.id]);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await api.get(`/organizations/${activeOrganization.id}`);
+      setMembers(response.data.data.members);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load members');
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const run = async (action, fallback) => {
+    setError('');
+    try {
+      const response = await action();
+      showSuccess(response.data.message);
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback);
+      return null;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const response = await run(() => api.post('/organizations', { name: newName }), 'Failed to create organization');
+    if (response) {
+      setNewName('');
+      await refreshOrganizations();
+      switchOrganization(response.data.data.organization.id);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const response = await run(
+      () => api.patch(`/organizations/${activeOrganization.id}`, { name: rename }),
+      'Failed to rename organization'
+    );
+    if (response) {
+      refreshOrganizations();
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${activeOrganization.name}? This cannot be undone.`)) {
+      return;
+    }
+    const response = await run(() => api.delete(`/organizations/${activeOrganization.id}`), 'Failed to delete organization');
+    if (response) {
+      switchOrganization(null);
+      refreshOrganizations();
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const response = await run(
+      () => api.post(`/organizations/${activeOrganization.id}/members`, invite),
+      'Failed to invite member'
+    );
+    if (response) {
+      setInvite({ email: '', role: 'viewer' });
+      fetchMembers();
+    }
+  };
+
+  const handleAccept = async (invitation) => {
+    const response = await run(() => api.post(`/organizations/${invitation.id}/accept`), 'Failed to accept invitation');
+    if (response) {
+      await refreshOrganizations();
+      switchOrganization(invitation.id);
+    }
+  };
+
+  const handleDecline = async (invitation) => {
+    const response = await run(() => api.post(`/organizations/${invitation.id}/decline`), 'Failed to decline invitation');
+    if (response) {
+      refreshOrganizations();
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    const response = await run(
+      () => api.patch(`/organizations/${activeOrganization.id}/members/${member.userId}`, { role }),
+      'Failed to change role'
+    );
+    if (response) {
+      fetchMembers();
+      if (member.userId === user?.id) {
+        refreshOrganizations();
+      }
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId === user?.id;
+    const question = leaving
+      ? `Leave ${activeOrganization.name}?`
+      : member.pending ? `Withdraw the invitation to ${member.user.username}?` : `Remove ${member.user.username}?`;
+    if (!window.confirm(question)) {
+      return;
+    }
+    const response = await run(
+      () => api.delete(`/organizations/${activeOrganization.id}/members/${member.userId}`),
+      'Failed to remove member'
+    );
+    if (response) {
+      if (leaving) {
+        switchOrganization(null);
+        refreshOrganizations();
+      } else {
+        fetchMembers();
+      }
+    }
+  };
+
+  return (
+    <div>
+      <div className="dashboard-header">
+        <h1>Organizations</h1>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {invitations.length > 0 && (
+        <div className="card">
+          <h2>Invitations</h2>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Organization</th>
+                <th>Role offered</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invitations.map(invitation => (
+                <tr key={invitation.id}>
+                  <td>{invitation.name}</td>
+                  <td>{invitation.role}</td>
+                  <td>
+                    <div className="product-actions">
+                      <button className="btn btn-primary" onClick={() => handleAccept(invitation)}>
+                        Accept
+                      </button>
+                      <button className="btn btn-secondary" onClick={() => handleDecline(invitation)}>
+                        Decline
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="card">
+        <h2>Your Organizations</h2>
+        <p>Products belong to the organization selected in the navigation bar. Switch to share an inventory with your team.</p>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Your role</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {organizations.map(organization => (
+              <tr key={organization.id}>
+                <td>{organization.name}{organization.isPersonal && ' (personal)'}</td>
+                <td>{organization.role}</td>
+                <td>
+                  {organization.id === activeOrganization?.id ? (
+                    'Active'
+                  ) : (
+                    <button className="link-button" onClick={() => switchOrganization(organization.id)}>
+                      Switch
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <form onSubmit={handleCreate} style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+          <input
+            type="text"
+            placeholder="New team name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength="100"
+            required
+            style={{ flex: 1 }}
+          />
+          <button type="submit" className="btn btn-primary">
+            Create Team
+          </button>
+        </form>
+      </div>
+
+      {activeOrganization && !activeOrganization.isPersonal && (
+        <div className="card">
+          <h2>{activeOrganization.name}</h2>
+
+          {isOwner && (
+            <form onSubmit={handleRename} style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+              <input
+                type="text"
+                value={rename}
+                onChange={(e) => setRename(e.target.value)}
+                maxLength="100"
+                required
+                style={{ flex: 1 }}
+              />
+              <button type="submit" className="btn btn-secondary">
+                Rename
+              </button>
+              <button type="button" className="btn btn-danger" onClick={handleDelete}>
+                Delete
+              </button>
+            </form>
+          )}
+
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Member</th>
+                <th>Email</th>
+                <th>Role</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(member => (
+                <tr key={member.id}>
+                  <td>{member.user.username}{member.pending && ' (invited)'}</td>
+                  <td>{member.user.email}</td>
+                  <td>
+                    {isOwner ? (
+                      <select value={member.role} onChange={(e) => handleRoleChange(member, e.target.value)}>
+                        {ROLES.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      member.role
+                    )}
+                  </td>
+                  <td>
+                    {(isOwner || member.userId === user?.id) && (
+                      <button className="btn btn-danger" onClick={() => handleRemove(member)}>
+                        {member.userId === user?.id ? 'Leave' : member.pending ? 'Withdraw' : 'Remove'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {isOwner && (
+            <form onSubmit={handleInvite} style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+              <input
+                type="email"
+                placeholder="Email of an existing user"
+                value={invite.email}
+                onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                required
+                style={{ flex: 1 }}
+              />
+              <select value={invite.role} onChange={(e) => setInvite({ ...invite, role: e.target.value })}>
+                {ROLES.map(role => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-primary">
+                Invite
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Organizations;
@@ -1,41 +1,124 @@
 import React, { useEffect, useState } from 'react';
 import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import VariantEditor from '../components/VariantEditor';
+import StockMovements from '../components/StockMovements';
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+const unescapeHtml = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => HTML_ENTITIES[entity]);
+
+// Search highlights come back HTML-escaped with matches wrapped in <mark>;
+// render the marks as elements and the rest as text, which React escapes
+const renderHighlight = (text) => text.split(/(<mark>.*?<\/mark>)/g).map((part, index) => (
+  part.startsWith('<mark>')
+    ? <mark key={index}>{unescapeHtml(part.slice(6, -7))}</mark>
+    : unescapeHtml(part)
+));
+
+// Indents a category under its parent in dropdowns
+const categoryLabel = (category) => `${'\u00a0\u00a0'.repeat(category.depth)}${category.name}`;
+
+const EMPTY_FILTERS = {
+  search: '',
+  categories: [],
+  minPrice: '',
+  maxPrice: '',
+  minStock: '',
+  maxStock: '',
+  createdFrom: '',
+  createdTo: '',
+  updatedFrom: '',
+  updatedTo: '',
+  sort: ''
+};
+
+// Range filters sent as-is; dates are widened to whole days
+const RANGE_FILTERS = ['minPrice', 'maxPrice', 'minStock', 'maxStock'];
+const DATE_FILTERS = {
+  createdFrom: 'T00:00:00.000Z',
+  createdTo: 'T23:59:59.999Z',
+  updatedFrom: 'T00:00:00.000Z',
+  updatedTo: 'T23:59:59.999Z'
+};
 
 const Products = () => {
+  const { user, hasPermission, impersonation, startImpersonation, activeOrganization } = useAuth();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
-  const [filters, setFilters] = useState({
-    search: '',
-    category: ''
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [categories, setCategories] = useState([]);
+  // Keyset paging: the cursor of the page shown, and those of its neighbours
+  const [cursor, setCursor] = useState(null);
+  const [pageCursors, setPageCursors] = useState({ nextCursor: null, prevCursor: null });
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     price: '',
     stock: '',
-    category: ''
+    categoryId: ''
   });
+  const hasVariants = editingProduct?.variantCount > 0;
+  // Bumped so the variant and stock movement panels reload after the other changes stock
+  const [variantsVersion, setVariantsVersion] = useState(0);
+  const [movementsVersion, setMovementsVersion] = useState(0);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
 
   useEffect(() => {
     fetchProducts();
-  }, [filters]);
+  }, [filters, activeOrganization?.id, cursor]);
+
+  useEffect(() => {
+    setCursor(null);
+  }, [activeOrganization?.id]);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await api.get('/categories');
+      setCategories(response.data.data.categories);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch categories');
+    }
+  };
 
   const fetchProducts = async () => {
     try {
       setLoading(true);
       const params = new URLSearchParams();
-      if (filters.search) params.append('search', filters.search);
-      if (filters.category) params.append('category', filters.category);
-      
+      if (filters.search) {
+        params.append('search', filters.search);
+        params.append('highlight', 'true');
+      }
+      filters.categories.forEach(category => params.append('category', category));
+      RANGE_FILTERS.forEach(name => {
+        if (filters[name] !== '') params.append(name, filters[name]);
+      });
+      Object.entries(DATE_FILTERS).forEach(([name, time]) => {
+        if (filters[name]) params.append(name, `${filters[name]}${time}`);
+      });
+      if (filters.sort) params.append('sort', filters.sort);
+      if (cursor) params.append('cursor', cursor);
+
       const response = await api.get(`/products?${params.toString()}`);
-      setProducts(response.data.data.products);
+      const fetched = response.data.data.products;
+      // The page emptied (say its last product was deleted); go back to the start
+      if (cursor && fetched.length === 0) {
+        setCursor(null);
+        return;
+      }
+      setProducts(fetched);
+      setPageCursors(response.data.data.pagination);
       setError('');
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to fetch products');
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to fetch products');
     } finally {
       setLoading(false);
     }
@@ -48,24 +131,81 @@ const Products = () => {
     });
   };
 
+  // Changing what is listed starts again from the first page
+  const updateFilters = (next) => {
+    setFilters(next);
+    setCursor(null);
+  };
+
   const handleFilterChange = (e) => {
-    setFilters({
+    updateFilters({
       ...filters,
       [e.target.name]: e.target.value
     });
   };
 
+  const handleCategoryChange = (e) => {
+    updateFilters({
+      ...filters,
+      categories: Array.from(e.target.selectedOptions, option => option.value)
+    });
+  };
+
+  // Click sorts by a column, clicking again flips the direction; shift-click
+  // adds the column as a further sort key
+  const handleSort = (field, append) => {
+    const entries = filters.sort ? filters.sort.split(',') : [];
+    const current = entries.find(entry => entry.replace(/^-/, '') === field);
+    const next = current === field ? `-${field}` : field;
+
+    let sort;
+    if (!append) {
+      sort = [next];
+    } else if (current) {
+      sort = entries.map(entry => (entry === current ? next : entry));
+    } else {
+      sort = [...entries, next];
+    }
+    updateFilters({ ...filters, sort: sort.join(',') });
+  };
+
+  const sortIndicator = (field) => {
+    const entries = filters.sort ? filters.sort.split(',') : [];
+    const index = entries.findIndex(entry => entry.replace(/^-/, '') === field);
+    if (index === -1) {
+      return null;
+    }
+    const arrow = entries[index].startsWith('-') ? ' ▼' : ' ▲';
+    return entries.length > 1 ? `${arrow}${index + 1}` : arrow;
+  };
+
+  const sortableHeader = (field, label) => (
+    <th
+      className="sortable"
+      onClick={(e) => handleSort(field, e.shiftKey)}
+      title="Click to sort, shift-click to add as a further sort key"
+    >
+      {label}{sortIndicator(field)}
+    </th>
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
 
+    const productData = { ...formData, categoryId: formData.categoryId || null };
+    // Stock of a saved product changes through stock movements
+    if (editingProduct) {
+      delete productData.stock;
+    }
+
     try {
       if (editingProduct) {
-        await api.put(`/products/${editingProduct.id}`, formData);
+        await api.put(`/products/${editingProduct.id}`, productData);
         setSuccess('Product updated successfully!');
       } else {
-        await api.post('/products', formData);
+        await api.post('/products', productData);
         setSuccess('Product created successfully!');
       }
       
@@ -86,11 +226,25 @@ const Products = () => {
       description: product.description || '',
       price: product.price,
       stock: product.stock,
-      category: product.category || ''
+      categoryId: product.categoryId || ''
     });
     setShowModal(true);
   };
 
+  // Keeps the form and the list in step with variant changes
+  const handleVariantsChange = ({ totalStock, variantCount }) => {
+    setFormData(current => ({ ...current, stock: totalStock }));
+    setEditingProduct(current => ({ ...current, variantCount }));
+    setVariantsVersion(version => version + 1);
+    fetchProducts();
+  };
+
+  const handleStockMovement = ({ stock }) => {
+    setFormData(current => ({ ...current, stock }));
+    setMovementsVersion(version => version + 1);
+    fetchProducts();
+  };
+
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this product?')) {
       return;
@@ -112,7 +266,7 @@ const Products = () => {
       description: '',
       price: '',
       stock: '',
-      category: ''
+      categoryId: ''
     });
     setEditingProduct(null);
   };
@@ -127,7 +281,21 @@ const Products = () => {
     resetForm();
   };
 
-  const categories = [...new Set(products.map(p => p.category).filter(Boolean))];
+  // Lets an admin see the list exactly as the product's owner does
+  const handleViewAs = async (owner) => {
+    setError('');
+    const result = await startImpersonation(owner.id);
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+    fetchProducts();
+  };
+
+  const showOwner = hasPermission('products:read:any') || !activeOrganization?.isPersonal;
+  // Viewers in an organization can only look
+  const canEdit = ['owner', 'editor'].includes(activeOrganization?.role) || hasPermission('products:update:any');
+  const canImpersonate = hasPermission('users:impersonate') && !impersonation;
 
   if (loading && products.length === 0) {
     return (
@@ -141,10 +309,12 @@ const Products = () => {
   return (
     <div>
       <div className="products-header">
-        <h1>Products</h1>
-        <button className="btn btn-primary" onClick={openModal}>
-          Add Product
-        </button>
+        <h1>Products{activeOrganization && !activeOrganization.isPersonal && ` · ${activeOrganization.name}`}</h1>
+        {canEdit && (
+          <button className="btn btn-primary" onClick={openModal}>
+            Add Product
+          </button>
+        )}
       </div>
 
       {error && <div className="alert alert-error">{error}</div>}
@@ -154,67 +324,129 @@ const Products = () => {
         <input
           type="text"
           name="search"
-          placeholder="Search products..."
+          placeholder="Search name, category or description..."
           value={filters.search}
           onChange={handleFilterChange}
           style={{ flex: 1, minWidth: '200px' }}
         />
-        <select
-          name="category"
-          value={filters.category}
-          onChange={handleFilterChange}
-        >
-          <option value="">All Categories</option>
-          {categories.map(cat => (
-            <option key={cat} value={cat}>{cat}</option>
-          ))}
-        </select>
+        <button className="btn btn-secondary" onClick={() => setShowFilters(!showFilters)}>
+          {showFilters ? 'Hide Filters' : 'More Filters'}
+        </button>
+        <button className="btn btn-secondary" onClick={() => updateFilters(EMPTY_FILTERS)}>
+          Clear
+        </button>
       </div>
 
+      {showFilters && (
+        <div className="products-filters">
+          <label>
+            Categories
+            <select
+              multiple
+              value={filters.categories}
+              onChange={handleCategoryChange}
+              size={Math.min(Math.max(categories.length, 2), 5)}
+            >
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{categoryLabel(category)}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Price
+            <input type="number" name="minPrice" placeholder="Min" min="0" step="0.01" value={filters.minPrice} onChange={handleFilterChange} />
+            <input type="number" name="maxPrice" placeholder="Max" min="0" step="0.01" value={filters.maxPrice} onChange={handleFilterChange} />
+          </label>
+          <label>
+            Stock
+            <input type="number" name="minStock" placeholder="Min" min="0" value={filters.minStock} onChange={handleFilterChange} />
+            <input type="number" name="maxStock" placeholder="Max" min="0" value={filters.maxStock} onChange={handleFilterChange} />
+          </label>
+          <label>
+            Created
+            <input type="date" name="createdFrom" value={filters.createdFrom} onChange={handleFilterChange} />
+            <input type="date" name="createdTo" value={filters.createdTo} onChange={handleFilterChange} />
+          </label>
+          <label>
+            Updated
+            <input type="date" name="updatedFrom" value={filters.updatedFrom} onChange={handleFilterChange} />
+            <input type="date" name="updatedTo" value={filters.updatedTo} onChange={handleFilterChange} />
+          </label>
+        </div>
+      )}
+
       {products.length === 0 ? (
         <div className="empty-state">
           <p>No products found.</p>
-          <button className="btn btn-primary" onClick={openModal} style={{ marginTop: '20px' }}>
-            Create Your First Product
-          </button>
+          {canEdit && (
+            <button className="btn btn-primary" onClick={openModal} style={{ marginTop: '20px' }}>
+              Create Your First Product
+            </button>
+          )}
         </div>
       ) : (
         <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
           <table className="table">
             <thead>
               <tr>
-                <th>Name</th>
+                {sortableHeader('name', 'Name')}
                 <th>Description</th>
-                <th>Price</th>
-                <th>Stock</th>
-                <th>Category</th>
-                <th>Actions</th>
+                {sortableHeader('price', 'Price')}
+                {sortableHeader('stock', 'Stock')}
+                {sortableHeader('category', 'Category')}
+                {showOwner && <th>Created by</th>}
+                {canEdit && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
               {products.map(product => (
                 <tr key={product.id}>
-                  <td>{product.name}</td>
-                  <td>{product.description || '-'}</td>
+                  <td>{product.nameHighlight ? renderHighlight(product.nameHighlight) : product.name}</td>
+                  <td>
+                    {product.descriptionHighlight ? renderHighlight(product.descriptionHighlight) : product.description || '-'}
+                  </td>
                   <td>${parseFloat(product.price).toFixed(2)}</td>
-                  <td>{product.stock}</td>
-                  <td>{product.category || '-'}</td>
                   <td>
-                    <div className="product-actions">
-                      <button
-                        className="btn btn-secondary"
-                        onClick={() => handleEdit(product)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-danger"
-                        onClick={() => handleDelete(product.id)}
-                      >
-                        Delete
-                      </button>
-                    </div>
+                    {product.stock}
+                    {product.variantCount > 0 && (
+                      <small> ({product.variantCount} variant{product.variantCount === 1 ? '' : 's'})</small>
+                    )}
                   </td>
+                  <td>{product.category || '-'}</td>
+                  {showOwner && (
+                    <td>
+                      {product.owner?.username || '-'}
+                      {canImpersonate && product.owner && product.owner.id !== user?.id && (
+                        <>
+                          {' '}
+                          <button
+                            className="link-button"
+                            onClick={() => handleViewAs(product.owner)}
+                          >
+                            View as
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
+                  {canEdit && (
+                    <td>
+                      <div className="product-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleEdit(product)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger"
+                          onClick={() => handleDelete(product.id)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -222,6 +454,25 @@ const Products = () => {
         </div>
       )}
 
+      {(pageCursors.prevCursor || pageCursors.nextCursor) && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '20px' }}>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setCursor(pageCursors.prevCursor)}
+            disabled={!pageCursors.prevCursor}
+          >
+            Previous
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setCursor(pageCursors.nextCursor)}
+            disabled={!pageCursors.nextCursor}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
       {showModal && (
         <div className="modal" onClick={closeModal}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
@@ -273,18 +524,28 @@ const Products = () => {
                   value={formData.stock}
                   onChange={handleInputChange}
                   min="0"
+                  disabled={!!editingProduct}
                   required
                 />
+                {editingProduct && (
+                  <small>
+                    {hasVariants ? 'Total of the variants below. ' : ''}Record a stock movement below to change it.
+                  </small>
+                )}
               </div>
               <div className="form-group">
-                <label htmlFor="category">Category</label>
-                <input
-                  type="text"
-                  id="category"
-                  name="category"
-                  value={formData.category}
+                <label htmlFor="categoryId">Category</label>
+                <select
+                  id="categoryId"
+                  name="categoryId"
+                  value={formData.categoryId}
                   onChange={handleInputChange}
-                />
+                >
+                  <option value="">No category</option>
+                  {categories.map(category => (
+                    <option key={category.id} value={category.id}>{categoryLabel(category)}</option>
+                  ))}
+                </select>
               </div>
               <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
                 <button type="submit" className="btn btn-primary" style={{ flex: 1 }}>
@@ -295,6 +556,22 @@ const Products = () => {
                 </button>
               </div>
             </form>
+            {editingProduct ? (
+              <>
+                <VariantEditor
+                  productId={editingProduct.id}
+                  refreshKey={movementsVersion}
+                  onChange={handleVariantsChange}
+                />
+                <StockMovements
+                  productId={editingProduct.id}
+                  refreshKey={variantsVersion}
+                  onChange={handleStockMovement}
+                />
+              </>
+            ) : (
+              <p style={{ marginTop: '20px' }}>Save the product, then edit it to add variants.</p>
+            )}
           </div>
         </div>
       )}
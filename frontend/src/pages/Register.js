@@ -1,6 +1,8 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import PasswordRequirements from '../components/PasswordRequirements';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -10,10 +12,30 @@ const Register = () => {
     confirmPassword: ''
   });
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  const [invitation, setInvitation] = useState(null);
   const { register } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+
+  useEffect(() => {
+    if (!inviteToken) {
+      return;
+    }
+    // The invited address is fixed; prefill it so the invitation matches
+    api.get('/auth/invitation', { params: { token: inviteToken } })
+      .then(response => {
+        const { invitation } = response.data.data;
+        setInvitation(invitation);
+        setFormData(current => ({ ...current, email: invitation.email }));
+      })
+      .catch(err => {
+        setError(err.response?.data?.message || 'This invitation is invalid or has expired.');
+      });
+  }, [inviteToken]);
 
   const handleChange = (e) => {
     setFormData({
@@ -35,23 +57,21 @@ const Register = () => {
       return;
     }
 
-    if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters long');
-      return;
-    }
-
     setLoading(true);
 
-    const result = await register(formData.username, formData.email, formData.password);
+    const result = await register(formData.username, formData.email, formData.password, inviteToken || undefined);
 
-    if (result.success) {
+    if (result.success && result.verificationRequired) {
+      setSuccess(result.message);
+    } else if (result.success) {
       navigate('/dashboard');
     } else {
       setError(result.message);
       if (result.errors) {
         const errorObj = {};
+        // A password can break several policy rules at once
         result.errors.forEach(err => {
-          errorObj[err.param] = err.msg;
+          errorObj[err.path] = errorObj[err.path] ? `${errorObj[err.path]} ${err.msg}` : err.msg;
         });
         setErrors(errorObj);
       }
@@ -64,7 +84,13 @@ const Register = () => {
     <div className="auth-container">
       <div className="auth-card">
         <h2>Register</h2>
+        {invitation && (
+          <div className="alert alert-success">
+            You have been invited to join as <strong>{invitation.role}</strong>.
+          </div>
+        )}
         {error && <div className="alert alert-error">{error}</div>}
+        {success && <div className="alert alert-success">{success}</div>}
         <form onSubmit={handleSubmit}>
           <div className="form-group">
             <label htmlFor="username">Username</label>
@@ -86,6 +112,7 @@ const Register = () => {
               name="email"
               value={formData.email}
               onChange={handleChange}
+              readOnly={!!invitation}
               required
             />
             {errors.email && <div className="alert alert-error" style={{ marginTop: '5px', padding: '8px' }}>{errors.email}</div>}
@@ -101,9 +128,7 @@ const Register = () => {
               required
             />
             {errors.password && <div className="alert alert-error" style={{ marginTop: '5px', padding: '8px' }}>{errors.password}</div>}
-            <small style={{ color: '#666', fontSize: '12px' }}>
-              Must contain uppercase, lowercase, and number
-            </small>
+            <PasswordRequirements />
           </div>
           <div className="form-group">
             <label htmlFor="confirmPassword">Confirm Password</label>
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import MfaSetup from '../components/MfaSetup';
+import ApiTokens from '../components/ApiTokens';
+import api from '../services/api';
+
+const Security = () => {
+  const { user, refreshUser, logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [enrolling, setEnrolling] = useState(false);
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.data.sessions);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch sessions');
+    }
+  };
+
+  const handleSignOutSession = async (session) => {
+    if (!window.confirm('Sign out this session?')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      if (session.current) {
+        logout();
+        navigate('/login');
+        return;
+      }
+      setSuccess('Session signed out successfully!');
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out session');
+    }
+  };
+
+  const handleDisableChange = (e) => {
+    setDisableForm({
+      ...disableForm,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.post('/auth/mfa/disable', disableForm);
+      setSuccess(response.data.message);
+      setDisableForm({ password: '', code: '' });
+      await refreshUser();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const code = window.prompt('Enter a code from your authenticator app');
+    if (!code) {
+      return;
+    }
+
+    setError('');
+    try {
+      const response = await api.post('/auth/mfa/recovery-codes', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to regenerate recovery codes');
+    }
+  };
+
+  return (
+    <div>
+      <div className="dashboard-header">
+        <h1>Security</h1>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="card">
+        <h2>Two-Factor Authentication</h2>
+        {user?.mfaEnabled ? (
+          <>
+            <p>Two-factor authentication is enabled for your account.</p>
+            {recoveryCodes && <pre className="recovery-codes">{recoveryCodes.join('\n')}</pre>}
+            <button className="btn btn-secondary" onClick={handleRegenerate} style={{ marginTop: '15px' }}>
+              Regenerate Recovery Codes
+            </button>
+            {user?.role !== 'admin' && (
+              <form onSubmit={handleDisable} style={{ marginTop: '20px' }}>
+                <div className="form-group">
+                  <label htmlFor="password">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    name="password"
+                    value={disableForm.password}
+                    onChange={handleDisableChange}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="code">Authenticator code</label>
+                  <input
+                    type="text"
+                    id="code"
+                    name="code"
+                    autoComplete="one-time-code"
+                    value={disableForm.code}
+                    onChange={handleDisableChange}
+                    required
+                  />
+                </div>
+                <button type="submit" className="btn btn-danger">
+                  Disable Two-Factor Authentication
+                </button>
+              </form>
+            )}
+          </>
+        ) : enrolling ? (
+          <MfaSetup onComplete={() => setEnrolling(false)} />
+        ) : (
+          <>
+            <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+            <button className="btn btn-primary" onClick={() => setEnrolling(true)} style={{ marginTop: '15px' }}>
+              Enable Two-Factor Authentication
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="card">
+        <h2>Active Sessions</h2>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Device</th>
+              <th>IP Address</th>
+              <th>Signed In</th>
+              <th>Last Seen</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(session => (
+              <tr key={session.id}>
+                <td>
+                  {session.userAgent || 'Unknown device'}
+                  {session.current && <strong> (this device)</strong>}
+                </td>
+                <td>{session.ipAddress || '-'}</td>
+                <td>{new Date(session.createdAt).toLocaleString()}</td>
+                <td>{new Date(session.lastSeenAt).toLocaleString()}</td>
+                <td>
+                  <button className="btn btn-danger" onClick={() => handleSignOutSession(session)}>
+                    Sign Out
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ApiTokens />
+    </div>
+  );
+};
+
+export default Security;
@@ -0,0 +1,239 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api, { downloadFile } from '../services/api';
+import PasswordRequirements from '../components/PasswordRequirements';
+
+const Settings = () => {
+  const { user, updateUser, logout } = useAuth();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState({ username: '', email: '' });
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [eraseConfirmation, setEraseConfirmation] = useState('');
+
+  useEffect(() => {
+    if (user) {
+      setProfile({ username: user.username, email: user.email });
+    }
+  }, [user]);
+
+  const handleProfileChange = (e) => {
+    setProfile({
+      ...profile,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswords({
+      ...passwords,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setSaving(true);
+
+    try {
+      const response = await api.patch('/auth/me', profile);
+      updateUser(response.data.data.user);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update profile');
+    }
+
+    setSaving(false);
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const response = await api.post('/auth/change-password', {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword
+      });
+      setSuccess(response.data.message);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (err) {
+      setError(err.response?.data?.errors?.map(e => e.msg).join(' ') || err.response?.data?.message || 'Failed to change password');
+    }
+
+    setSaving(false);
+  };
+
+  const handleExport = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await downloadFile('/auth/me/export');
+    } catch (err) {
+      setError('Failed to export your data');
+    }
+  };
+
+  const handleEraseSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!window.confirm('Erase your account? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      // SSO accounts confirm with their email address, everyone else with their password
+      await api.post('/auth/me/erase', { password: eraseConfirmation, email: eraseConfirmation });
+      logout();
+      navigate('/login');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to erase your account');
+    }
+  };
+
+  return (
+    <div>
+      <div className="dashboard-header">
+        <h1>Settings</h1>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="card">
+        <h2>Profile</h2>
+        <form onSubmit={handleProfileSubmit}>
+          <div className="form-group">
+            <label htmlFor="username">Username</label>
+            <input
+              type="text"
+              id="username"
+              name="username"
+              value={profile.username}
+              onChange={handleProfileChange}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={profile.email}
+              onChange={handleProfileChange}
+              required
+            />
+            {user && !user.emailVerified && <small>This email address has not been verified yet.</small>}
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            Save Profile
+          </button>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Change Password</h2>
+        <p>Changing your password signs out all of your other sessions.</p>
+        <form onSubmit={handlePasswordSubmit}>
+          <div className="form-group">
+            <label htmlFor="currentPassword">Current password</label>
+            <input
+              type="password"
+              id="currentPassword"
+              name="currentPassword"
+              autoComplete="current-password"
+              value={passwords.currentPassword}
+              onChange={handlePasswordChange}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="newPassword">New password</label>
+            <input
+              type="password"
+              id="newPassword"
+              name="newPassword"
+              autoComplete="new-password"
+              value={passwords.newPassword}
+              onChange={handlePasswordChange}
+              required
+            />
+            <PasswordRequirements showHistory />
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm new password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              autoComplete="new-password"
+              value={passwords.confirmPassword}
+              onChange={handlePasswordChange}
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            Change Password
+          </button>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Your Data</h2>
+        <p>Download a copy of everything stored about you: your profile, products, sessions, API tokens and activity.</p>
+        <button className="btn btn-secondary" onClick={handleExport}>
+          Download my data
+        </button>
+      </div>
+
+      <div className="card">
+        <h2>Erase Account</h2>
+        <p>
+          Your personal details are removed and you are signed out everywhere.
+          Products you created are kept without your name on them. This cannot be undone.
+        </p>
+        <form onSubmit={handleEraseSubmit}>
+          <div className="form-group">
+            <label htmlFor="eraseConfirmation">Password</label>
+            <input
+              type="password"
+              id="eraseConfirmation"
+              name="eraseConfirmation"
+              autoComplete="current-password"
+              value={eraseConfirmation}
+              onChange={(e) => setEraseConfirmation(e.target.value)}
+              required
+            />
+            <small>Signed in with single sign-on? Enter your email address instead.</small>
+          </div>
+          <button type="submit" className="btn btn-danger">
+            Erase my account
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
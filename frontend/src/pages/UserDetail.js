@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../services/api';
+
+const FAILURE_REASONS = {
+  invalid_password: 'Wrong password',
+  invalid_mfa_code: 'Wrong two-factor code',
+  inactive: 'Account deactivated',
+  email_unverified: 'Email not verified',
+  throttled: 'Too many attempts'
+};
+
+// Periods start at midnight UTC on the server
+const formatPeriod = (period, interval) => {
+  const date = new Date(period);
+  if (interval === 'month') {
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', timeZone: 'UTC' });
+  }
+  const day = date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+  return interval === 'week' ? `Week of ${day}` : day;
+};
+
+const UserDetail = () => {
+  const { id } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [activity, setActivity] = useState(null);
+  const [interval, setActivityInterval] = useState('day');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchProfile();
+  }, [id]);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [id, interval]);
+
+  const fetchProfile = async () => {
+    try {
+      const response = await api.get(`/users/${id}`);
+      setProfile(response.data.data.user);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch user');
+    }
+  };
+
+  const fetchActivity = async () => {
+    try {
+      setLoading(true);
+      const days = { day: 30, week: 182, month: 365 }[interval];
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const response = await api.get(`/users/${id}/activity?interval=${interval}&from=${from}`);
+      setActivity(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading && !activity) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading user...</p>
+      </div>
+    );
+  }
+
+  const series = activity ? [...activity.series].reverse() : [];
+  const busiest = Math.max(1, ...series.map(row => row.created + row.updated + row.deleted));
+
+  return (
+    <div>
+      <div className="products-header">
+        <h1>{profile?.username || 'User'}</h1>
+        <Link to="/users">Back to users</Link>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {profile && (
+        <div className="card">
+          <p>Email: {profile.email}</p>
+          <p>Role: {profile.role}</p>
+          <p>Status: {profile.erasedAt ? 'Erased' : profile.isActive ? 'Active' : 'Inactive'}</p>
+          <p>Joined: {new Date(profile.createdAt).toLocaleString()}</p>
+          <p>Last login: {profile.lastLoginAt ? new Date(profile.lastLoginAt).toLocaleString() : 'Never'}</p>
+        </div>
+      )}
+
+      {activity && (
+        <>
+          <div className="products-filters">
+            <select value={interval} onChange={(e) => setActivityInterval(e.target.value)}>
+              <option value="day">Last 30 days, by day</option>
+              <option value="week">Last 26 weeks, by week</option>
+              <option value="month">Last 12 months, by month</option>
+            </select>
+          </div>
+
+          <div className="stats">
+            <div className="stat-card">
+              <h3>Logins</h3>
+              <p>{activity.totals.logins}</p>
+            </div>
+            <div className="stat-card">
+              <h3>Failed Logins</h3>
+              <p>{activity.totals.failedLogins}</p>
+            </div>
+            <div className="stat-card">
+              <h3>Products Created / Updated / Deleted</h3>
+              <p>{activity.totals.created} / {activity.totals.updated} / {activity.totals.deleted}</p>
+            </div>
+          </div>
+
+          <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Logins</th>
+                  <th>Failed</th>
+                  <th>Created</th>
+                  <th>Updated</th>
+                  <th>Deleted</th>
+                  <th>Catalog activity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {series.map(row => (
+                  <tr key={row.period}>
+                    <td>{formatPeriod(row.period, interval)}</td>
+                    <td>{row.logins}</td>
+                    <td>{row.failedLogins}</td>
+                    <td>{row.created}</td>
+                    <td>{row.updated}</td>
+                    <td>{row.deleted}</td>
+                    <td>
+                      <div
+                        className="activity-bar"
+                        style={{ width: `${((row.created + row.updated + row.deleted) / busiest) * 100}%` }}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="card" style={{ padding: 0, overflow: 'hidden', marginTop: '20px' }}>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Login attempt</th>
+                  <th>Result</th>
+                  <th>Method</th>
+                  <th>IP address</th>
+                  <th>Device</th>
+                </tr>
+              </thead>
+              <tbody>
+                {activity.recentLogins.length === 0 && (
+                  <tr>
+                    <td colSpan="5">No login attempts recorded.</td>
+                  </tr>
+                )}
+                {activity.recentLogins.map(event => (
+                  <tr key={event.id}>
+                    <td>{new Date(event.createdAt).toLocaleString()}</td>
+                    <td>
+                      {event.success ? 'Success' : `Failed: ${FAILURE_REASONS[event.failureReason] || event.failureReason}`}
+                    </td>
+                    <td>{event.method === 'oidc' ? 'Single sign-on' : 'Password'}</td>
+                    <td>{event.ipAddress || '-'}</td>
+                    <td>{event.userAgent || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UserDetail;
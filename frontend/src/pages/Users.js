@@ -0,0 +1,401 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api, { downloadFile } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const Users = () => {
+  const { user, hasPermission, impersonation, startImpersonation } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({
+    search: '',
+    role: '',
+    isActive: '',
+    sort: '-createdAt'
+  });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [deleting, setDeleting] = useState(null);
+  const [owners, setOwners] = useState([]);
+  const [deleteOptions, setDeleteOptions] = useState({
+    products: 'reassign',
+    reassignTo: ''
+  });
+
+  const canManage = hasPermission('users:manage');
+  const canManageRoles = hasPermission('roles:manage');
+  const canImpersonate = hasPermission('users:impersonate') && !impersonation;
+
+  useEffect(() => {
+    fetchUsers();
+  }, [page, filters]);
+
+  useEffect(() => {
+    if (canManageRoles) {
+      api.get('/roles')
+        .then(response => setRoles(response.data.data.roles))
+        .catch(() => setRoles([]));
+    }
+  }, [canManageRoles]);
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: 20, sort: filters.sort });
+      if (filters.search) params.append('search', filters.search);
+      if (filters.role) params.append('role', filters.role);
+      if (filters.isActive) params.append('isActive', filters.isActive);
+
+      const response = await api.get(`/users?${params.toString()}`);
+      setUsers(response.data.data.users);
+      setPagination(response.data.data.pagination);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({
+      ...filters,
+      [e.target.name]: e.target.value
+    });
+    setPage(1);
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const updateUser = async (target, changes) => {
+    setError('');
+    try {
+      const response = await api.patch(`/users/${target.id}`, changes);
+      const updated = response.data.data.user;
+      setUsers(users.map(u => (u.id === updated.id ? { ...u, ...updated } : u)));
+      showSuccess(`${updated.username} updated`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const handleToggleActive = (target) => {
+    if (target.isActive && !window.confirm(`Deactivate ${target.username}? They will be signed out everywhere.`)) {
+      return;
+    }
+    updateUser(target, { isActive: !target.isActive });
+  };
+
+  const openDelete = async (target) => {
+    setError('');
+    setDeleting(target);
+    setDeleteOptions({ products: 'reassign', reassignTo: '' });
+    try {
+      const response = await api.get('/users?limit=100');
+      setOwners(response.data.data.users.filter(u => u.isActive && u.id !== target.id));
+    } catch (err) {
+      setOwners([]);
+    }
+  };
+
+  const closeDelete = () => {
+    setDeleting(null);
+    setOwners([]);
+  };
+
+  const handleDeleteOptionChange = (e) => {
+    setDeleteOptions({
+      ...deleteOptions,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const params = new URLSearchParams({ products: deleteOptions.products });
+    if (deleteOptions.products === 'reassign') {
+      params.append('reassignTo', deleteOptions.reassignTo);
+    }
+
+    try {
+      const response = await api.delete(`/users/${deleting.id}?${params.toString()}`);
+      closeDelete();
+      showSuccess(response.data.message);
+      fetchUsers();
+    } catch (err) {
+      closeDelete();
+      setError(err.response?.data?.message || 'Failed to delete user');
+    }
+  };
+
+  const handleExport = async (target) => {
+    setError('');
+    try {
+      await downloadFile(`/users/${target.id}/export`);
+    } catch (err) {
+      setError('Failed to export user data');
+    }
+  };
+
+  const handleErase = async (target) => {
+    if (!window.confirm(`Erase ${target.username}? Their personal data is anonymized and the account cannot be used again.`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      const response = await api.post(`/users/${target.id}/erase`);
+      showSuccess(response.data.message);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to erase user');
+    }
+  };
+
+  const handleViewAs = async (target) => {
+    setError('');
+    const result = await startImpersonation(target.id);
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  if (loading && users.length === 0) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading users...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="products-header">
+        <h1>Users</h1>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="products-filters">
+        <input
+          type="text"
+          name="search"
+          placeholder="Search username or email..."
+          value={filters.search}
+          onChange={handleFilterChange}
+          style={{ flex: 1, minWidth: '200px' }}
+        />
+        {roles.length > 0 && (
+          <select name="role" value={filters.role} onChange={handleFilterChange}>
+            <option value="">All Roles</option>
+            {roles.map(role => (
+              <option key={role.id} value={role.name}>{role.name}</option>
+            ))}
+          </select>
+        )}
+        <select name="isActive" value={filters.isActive} onChange={handleFilterChange}>
+          <option value="">Any Status</option>
+          <option value="true">Active</option>
+          <option value="false">Inactive</option>
+        </select>
+        <select name="sort" value={filters.sort} onChange={handleFilterChange}>
+          <option value="-createdAt">Newest first</option>
+          <option value="createdAt">Oldest first</option>
+          <option value="username">Username</option>
+          <option value="email">Email</option>
+          <option value="-productCount">Most products</option>
+          <option value="-lastLoginAt">Recently logged in</option>
+        </select>
+      </div>
+
+      <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Products</th>
+              <th>Last login</th>
+              <th>Joined</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.length === 0 && (
+              <tr>
+                <td colSpan="8">No users found.</td>
+              </tr>
+            )}
+            {users.map(u => (
+              <tr key={u.id}>
+                <td><Link to={`/users/${u.id}`}>{u.username}</Link></td>
+                <td>{u.email}</td>
+                <td>
+                  {canManageRoles && roles.length > 0 ? (
+                    <select
+                      value={u.role}
+                      onChange={(e) => updateUser(u, { role: e.target.value })}
+                    >
+                      {roles.map(role => (
+                        <option key={role.id} value={role.name}>{role.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    u.role
+                  )}
+                </td>
+                <td>{u.erasedAt ? 'Erased' : u.isActive ? 'Active' : 'Inactive'}</td>
+                <td>{u.productCount}</td>
+                <td>{u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString() : 'Never'}</td>
+                <td>{new Date(u.createdAt).toLocaleDateString()}</td>
+                <td>
+                  {u.id !== user?.id && (
+                    <div className="product-actions">
+                      {canManage && (
+                        <>
+                          {!u.erasedAt && (
+                            <button
+                              className="btn btn-secondary"
+                              onClick={() => handleToggleActive(u)}
+                            >
+                              {u.isActive ? 'Deactivate' : 'Activate'}
+                            </button>
+                          )}
+                          <button
+                            className="btn btn-danger"
+                            onClick={() => openDelete(u)}
+                          >
+                            Delete
+                          </button>
+                          {!u.erasedAt && (
+                            <button
+                              className="btn btn-danger"
+                              onClick={() => handleErase(u)}
+                            >
+                              Erase
+                            </button>
+                          )}
+                          <button
+                            className="link-button"
+                            onClick={() => handleExport(u)}
+                          >
+                            Export
+                          </button>
+                        </>
+                      )}
+                      {canImpersonate && u.isActive && (
+                        <button
+                          className="link-button"
+                          onClick={() => handleViewAs(u)}
+                        >
+                          View as
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination.pages > 1 && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '20px' }}>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {deleting && (
+        <div className="modal" onClick={closeDelete}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Delete {deleting.username}</h2>
+              <button className="close-btn" onClick={closeDelete}>×</button>
+            </div>
+            <form onSubmit={handleDelete}>
+              <p>This permanently deletes the account. What should happen to the products in their personal organization? Products they created in teams stay with the team.</p>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="radio"
+                    name="products"
+                    value="reassign"
+                    checked={deleteOptions.products === 'reassign'}
+                    onChange={handleDeleteOptionChange}
+                  />
+                  {' '}Give them to another user
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="products"
+                    value="cascade"
+                    checked={deleteOptions.products === 'cascade'}
+                    onChange={handleDeleteOptionChange}
+                  />
+                  {' '}Delete them too
+                </label>
+              </div>
+              {deleteOptions.products === 'reassign' && (
+                <div className="form-group">
+                  <label htmlFor="reassignTo">New owner</label>
+                  <select
+                    id="reassignTo"
+                    name="reassignTo"
+                    value={deleteOptions.reassignTo}
+                    onChange={handleDeleteOptionChange}
+                    required
+                  >
+                    <option value="">Select a user</option>
+                    {owners.map(owner => (
+                      <option key={owner.id} value={owner.id}>
+                        {owner.username} ({owner.email})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+                <button type="submit" className="btn btn-danger" style={{ flex: 1 }}>
+                  Delete user
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={closeDelete} style={{ flex: 1 }}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Users;
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('loading');
+  const [message, setMessage] = useState('');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    verify();
+  }, [token]);
+
+  const verify = async () => {
+    if (!token) {
+      setStatus('error');
+      setMessage('This verification link is invalid.');
+      return;
+    }
+
+    try {
+      const response = await api.get('/auth/verify-email', { params: { token } });
+      setStatus('success');
+      setMessage(response.data.message);
+    } catch (err) {
+      setStatus('error');
+      setMessage(err.response?.data?.message || 'Verification failed. Please try again.');
+    }
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Verifying your email...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Email Verification</h2>
+        <div className={`alert ${status === 'success' ? 'alert-success' : 'alert-error'}`}>{message}</div>
+        <p>
+          <Link to="/login">Continue to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
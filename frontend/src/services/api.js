@@ -1,12 +1,51 @@
 import axios from 'axios';
 
+const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1';
+
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1',
+  baseURL,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// Single in-flight refresh shared by every request that hits a 401
+let refreshPromise = null;
+
+/**
+ * Put back the admin's own tokens, set aside while impersonating a user
+ * @returns {String} The admin's access token
+ */
+export const restoreImpersonatorTokens = () => {
+  const token = localStorage.getItem('impersonatorToken');
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', localStorage.getItem('impersonatorRefreshToken'));
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+  const organizationId = localStorage.getItem('impersonatorOrganizationId');
+  if (organizationId) {
+    localStorage.setItem('organizationId', organizationId);
+  } else {
+    localStorage.removeItem('organizationId');
+  }
+  localStorage.removeItem('impersonatorOrganizationId');
+  return token;
+};
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const response = await axios.post(`${baseURL}/auth/refresh`, { refreshToken });
+  const { token, refreshToken: nextRefreshToken } = response.data.data;
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', nextRefreshToken);
+  return token;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -14,6 +53,11 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Product requests work in the organization picked in the switcher
+    const organizationId = localStorage.getItem('organizationId');
+    if (organizationId) {
+      config.headers['X-Organization-Id'] = organizationId;
+    }
     return config;
   },
   (error) => {
@@ -24,15 +68,55 @@ api.interceptors.request.use(
 // Response interceptor
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    const isAuthRequest = /\/auth\/(login|register|refresh|logout)$/.test(original?.url || '');
+
+    // Impersonation tokens cannot be refreshed; once one expires or is ended
+    // elsewhere, go back to the admin's own session
+    if (error.response?.status === 401 && localStorage.getItem('impersonatorToken') && !isAuthRequest) {
+      restoreImpersonatorTokens();
+      window.location.href = '/dashboard';
+      return Promise.reject(error);
+    }
+
+    if (error.response?.status === 401 && original && !original._retry && !isAuthRequest) {
+      original._retry = true;
+      try {
+        if (!refreshPromise) {
+          refreshPromise = refreshTokens().finally(() => {
+            refreshPromise = null;
+          });
+        }
+        const token = await refreshPromise;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        // Refresh token expired or revoked
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
 );
 
-export default api;
+/**
+ * Fetch a file from the API and hand it to the browser as a download
+ * @param {String} path - API path, e.g. '/auth/me/export'
+ */
+export const downloadFile = async (path) => {
+  const response = await api.get(path, { responseType: 'blob' });
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
 
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default api;
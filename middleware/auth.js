@@ -1,8 +1,26 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getActiveSession, touchSession } = require('../utils/refreshToken');
+const { API_TOKEN_PREFIX, findActiveApiToken, touchApiToken } = require('../utils/apiToken');
+const { PRIVILEGED_PERMISSIONS, getRolePermissions } = require('../utils/rbac');
+const { getActiveImpersonation, auditImpersonatedRequest } = require('../utils/impersonation');
+const { verifyToken } = require('../utils/jwt');
 
 /**
- * Middleware to verify JWT token and authenticate user
+ * Whether the account must use two-factor authentication
+ * @param {Object} user - User to check
+ * @returns {Boolean} True when the user's role holds a privileged permission,
+ *   unless REQUIRE_ADMIN_MFA is 'false'
+ */
+const isMfaRequired = async (user) => {
+  if (process.env.REQUIRE_ADMIN_MFA === 'false') {
+    return false;
+  }
+  const permissions = await getRolePermissions(user.role);
+  return PRIVILEGED_PERMISSIONS.some(permission => permissions.includes(permission));
+};
+
+/**
+ * Middleware to verify a JWT or personal access token and authenticate user
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -18,11 +36,51 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let userId;
+    let session = null;
+    let apiToken = null;
+    let impersonation = null;
+
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      // Personal access token for scripts and integrations
+      apiToken = await findActiveApiToken(token);
+      if (!apiToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API token.'
+        });
+      }
+      userId = apiToken.userId;
+    } else {
+      // Verify token
+      const decoded = verifyToken(token);
+
+      // Impersonation tokens stop working as soon as the impersonation is ended
+      if (decoded.imp) {
+        impersonation = await getActiveImpersonation(decoded.imp);
+        if (!impersonation || impersonation.targetUserId !== decoded.id || impersonation.sessionId !== decoded.fam) {
+          return res.status(401).json({
+            success: false,
+            message: 'Impersonation has ended.'
+          });
+        }
+      }
+
+      // Reject access tokens whose session was signed out, revoked or expired.
+      // Impersonation tokens ride on the impersonator's session.
+      session = decoded.fam && await getActiveSession(decoded.fam);
+      const sessionOwnerId = impersonation ? impersonation.impersonatorId : decoded.id;
+      if (!session || session.userId !== sessionOwnerId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.'
+        });
+      }
+      userId = decoded.id;
+    }
 
     // Get user from database
-    const user = await User.findByPk(decoded.id);
+    const user = await User.findByPk(userId);
     
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -31,8 +89,49 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before continuing.'
+      });
+    }
+
+    let impersonator = null;
+    if (impersonation) {
+      impersonator = await User.findByPk(impersonation.impersonatorId);
+      if (!impersonator || !impersonator.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation has ended.'
+        });
+      }
+    }
+
+    // SSO sessions rely on the identity provider's own second factor
+    const ssoSession = session && session.authMethod === 'oidc';
+    if (!user.mfaEnabled && !ssoSession && !impersonation && await isMfaRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for this account. Please login again to set it up.'
+      });
+    }
+
+    if (session) {
+      await touchSession(session, req);
+    } else {
+      await touchApiToken(apiToken);
+    }
+
+    // Attach user and session (or API token) to request object
     req.user = user;
+    req.authSession = session;
+    req.apiToken = apiToken;
+    req.impersonation = impersonation;
+    req.impersonator = impersonator;
+
+    if (impersonation) {
+      auditImpersonatedRequest(req, res);
+    }
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -56,37 +155,70 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has admin role
+ * Middleware factory requiring a scope when the request uses an API token.
+ * Interactive sessions are not scoped and always pass.
+ * @param {String} scope - Scope such as 'products:read'
  */
-const authorizeAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. API token is missing the '${scope}' scope.`
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware rejecting API tokens on routes that need an interactive session.
+ * Impersonation tokens are rejected too, so an admin viewing as a user cannot
+ * change that user's credentials, sessions or tokens.
+ */
+const requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. This endpoint cannot be used with an API token.'
+    });
+  }
+  if (req.impersonation) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: 'Access denied. This endpoint is not available while impersonating a user.'
     });
   }
   next();
 };
 
 /**
- * Middleware to check if user owns the resource or is admin
+ * Middleware factory requiring at least one of the given permissions through
+ * the user's role. Loads the permissions onto req.permissions (a Set) so
+ * handlers can make finer checks such as own vs any.
+ * @param {...String} permissions - Permission keys such as 'products:update:any'
  */
-const authorizeOwnerOrAdmin = (req, res, next) => {
-  const resourceUserId = req.resourceUserId || req.body.userId || req.params.userId;
-  
-  if (req.user.role === 'admin' || req.user.id === resourceUserId) {
-    return next();
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.permissions) {
+      req.permissions = new Set(await getRolePermissions(req.user.role));
+    }
+
+    if (!permissions.some(permission => req.permissions.has(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires the '${permissions.join("' or '")}' permission.`
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  
-  return res.status(403).json({
-    success: false,
-    message: 'Access denied. You can only access your own resources.'
-  });
 };
 
 module.exports = {
+  isMfaRequired,
   authenticate,
-  authorizeAdmin,
-  authorizeOwnerOrAdmin
+  requireScope,
+  requireSession,
+  requirePermission
 };
 
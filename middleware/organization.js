@@ -0,0 +1,76 @@
+const { Validator } = require('sequelize');
+const Organization = require('../models/Organization');
+const { getRolePermissions } = require('../utils/rbac');
+const {
+  ORGANIZATION_HEADER,
+  PRODUCT_EDITOR_ROLES,
+  ensurePersonalOrganization,
+  findMembership
+} = require('../utils/organizations');
+
+/**
+ * Middleware resolving the organization a request works in from the
+ * X-Organization-Id header, falling back to the user's personal organization.
+ * Sets req.organization and req.membership; the membership is null for users
+ * who reach an organization only through the 'products:read:any' permission.
+ */
+const resolveOrganization = async (req, res, next) => {
+  try {
+    if (!req.permissions) {
+      req.permissions = new Set(await getRolePermissions(req.user.role));
+    }
+
+    const requested = req.get(ORGANIZATION_HEADER);
+    let organization;
+
+    if (!requested) {
+      organization = await ensurePersonalOrganization(req.user);
+    } else {
+      if (!Validator.isUUID(requested)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${ORGANIZATION_HEADER} header`
+        });
+      }
+
+      organization = await Organization.findByPk(requested);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+    }
+
+    const membership = await findMembership(organization.id, req.user.id);
+    if (!membership && !req.permissions.has('products:read:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not a member of this organization.'
+      });
+    }
+
+    req.organization = organization;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Whether the caller may change products in the active organization: as an
+ * owner or editor, or through a permission that covers every product
+ * @param {Object} req - Request that went through resolveOrganization
+ * @param {String} anyPermission - e.g. 'products:update:any'
+ * @returns {Boolean} True if changes are allowed
+ */
+const canEditInOrganization = (req, anyPermission) => {
+  return req.permissions.has(anyPermission) ||
+    (req.membership !== null && PRODUCT_EDITOR_ROLES.includes(req.membership.role));
+};
+
+module.exports = {
+  resolveOrganization,
+  canEditInOrganization
+};
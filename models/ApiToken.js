@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const ApiToken = sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false,
+    defaultValue: []
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+// Never expose the hash
+ApiToken.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.tokenHash;
+  return values;
+};
+
+// Define associations
+ApiToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(ApiToken, { foreignKey: 'userId', as: 'apiTokens' });
+
+module.exports = ApiToken;
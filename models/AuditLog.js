@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Impersonation = require('./Impersonation');
+
+// Append-only record of security relevant actions. Rows outlive the users
+// they mention, so references are nulled rather than cascaded.
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // User the action was performed as
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Admin actually behind the action when it was made under impersonation
+  impersonatorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  impersonationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'impersonations',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  path: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['impersonatorId'] },
+    { fields: ['impersonationId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+// Define associations
+AuditLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+AuditLog.belongsTo(User, { foreignKey: 'impersonatorId', as: 'impersonator' });
+AuditLog.belongsTo(Impersonation, { foreignKey: 'impersonationId', as: 'impersonation' });
+Impersonation.hasMany(AuditLog, { foreignKey: 'impersonationId', as: 'actions' });
+
+module.exports = AuditLog;
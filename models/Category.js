@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A node in the product category tree, shared by every organization and
+// managed by admins. Top-level categories have no parent.
+const Category = sequelize.define('Category', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  // URL-friendly identifier, unique across the whole tree
+  slug: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+    }
+  },
+  // Categories with children cannot be deleted
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'RESTRICT'
+  }
+}, {
+  tableName: 'categories',
+  timestamps: true,
+  indexes: [
+    { fields: ['parentId'] }
+  ]
+});
+
+// Define associations
+Category.belongsTo(Category, { foreignKey: 'parentId', as: 'parent' });
+Category.hasMany(Category, { foreignKey: 'parentId', as: 'children' });
+
+module.exports = Category;
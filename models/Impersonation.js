@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// One row per "view as user" started by an admin; ending or expiring it
+// invalidates the impersonation token straight away
+const Impersonation = sequelize.define('Impersonation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Both users are kept as null when their account is deleted, so the record
+  // of the impersonation survives
+  impersonatorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  targetUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // The impersonator's own session; signing it out ends the impersonation too
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'impersonations',
+  timestamps: true,
+  indexes: [
+    { fields: ['impersonatorId'] },
+    { fields: ['targetUserId'] }
+  ]
+});
+
+// Define associations
+Impersonation.belongsTo(User, { foreignKey: 'impersonatorId', as: 'impersonator' });
+Impersonation.belongsTo(User, { foreignKey: 'targetUserId', as: 'targetUser' });
+
+module.exports = Impersonation;
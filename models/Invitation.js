@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const Invitation = sequelize.define('Invitation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  // Name of the role the account gets on sign-up. A plain copy rather than
+  // a foreign key, so past invitations outlive a deleted role; pending ones
+  // keep their role from being deleted (routes/v1/roles.js)
+  role: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // SHA-256 of the emailed token; replaced whenever the invitation is resent
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  invitedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  acceptedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastSentAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (this.acceptedAt) return 'accepted';
+      if (this.revokedAt) return 'revoked';
+      if (this.expiresAt <= new Date()) return 'expired';
+      return 'pending';
+    }
+  }
+}, {
+  tableName: 'invitations',
+  timestamps: true,
+  indexes: [
+    { fields: ['email'] }
+  ]
+});
+
+// Never expose the hash
+Invitation.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.tokenHash;
+  return values;
+};
+
+// Define associations
+Invitation.belongsTo(User, { foreignKey: 'invitedById', as: 'invitedBy' });
+Invitation.belongsTo(User, { foreignKey: 'acceptedById', as: 'acceptedBy' });
+
+module.exports = Invitation;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// One row per sign-in attempt against a known account
+const LoginEvent = sequelize.define('LoginEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.ENUM('password', 'oidc'),
+    allowNull: false
+  },
+  // Why a failed attempt was refused, e.g. 'invalid_password'
+  failureReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'login_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'createdAt'] }
+  ]
+});
+
+// Define associations
+LoginEvent.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(LoginEvent, { foreignKey: 'userId', as: 'loginEvents' });
+
+module.exports = LoginEvent;
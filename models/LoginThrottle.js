@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Failures are counted both per submitted email and per resolved account
+  scope: {
+    type: DataTypes.ENUM('email', 'user'),
+    allowNull: false
+  },
+  identifier: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  failedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Progressive delay: no attempt is accepted before this time
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'login_throttles',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['scope', 'identifier'] }
+  ]
+});
+
+// Define associations
+LoginThrottle.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(LoginThrottle, { foreignKey: 'userId', as: 'loginThrottles' });
+
+module.exports = LoginThrottle;
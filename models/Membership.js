@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Organization = require('./Organization');
+
+// A user's place in an organization. Owners manage the organization and its
+// members, editors change products, viewers only read them. Owners invite
+// members; until the invitee accepts, the membership is pending and grants
+// nothing.
+const Membership = sequelize.define('Membership', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  role: {
+    type: DataTypes.ENUM('owner', 'editor', 'viewer'),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  pending: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'memberships',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['organizationId', 'userId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+// Define associations
+Membership.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+Membership.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Organization.hasMany(Membership, { foreignKey: 'organizationId', as: 'memberships' });
+User.hasMany(Membership, { foreignKey: 'userId', as: 'memberships' });
+
+module.exports = Membership;
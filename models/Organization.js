@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// A team that owns an inventory of products. Every user also gets a
+// personal organization of their own, which cannot be shared or deleted.
+const Organization = sequelize.define('Organization', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  // Set on personal organizations; unique so each user has exactly one
+  personalUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  isPersonal: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.personalUserId !== null && this.personalUserId !== undefined;
+    }
+  }
+}, {
+  tableName: 'organizations',
+  timestamps: true
+});
+
+// Define associations
+Organization.belongsTo(User, { foreignKey: 'personalUserId', as: 'personalUser' });
+
+module.exports = Organization;
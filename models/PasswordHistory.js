@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// bcrypt hashes of the passwords a user has set, newest first when read
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  passwordHash: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  }
+}, {
+  tableName: 'password_history',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'createdAt'] }
+  ]
+});
+
+// Define associations
+PasswordHistory.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(PasswordHistory, { foreignKey: 'userId', as: 'passwordHistory' });
+
+module.exports = PasswordHistory;
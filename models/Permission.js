@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Permission keys follow resource:action[:scope], e.g. 'products:update:any'
+const Permission = sequelize.define('Permission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'permissions',
+  timestamps: true
+});
+
+module.exports = Permission;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./User');
+const Organization = require('./Organization');
 
 const Product = sequelize.define('Product', {
   id: {
@@ -37,6 +38,17 @@ const Product = sequelize.define('Product', {
       isInt: true
     }
   },
+  categoryId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Name of the category, copied from categoryId whenever either changes so
+  // search and sorting need no join. Not writable through the API.
   category: {
     type: DataTypes.STRING(100),
     allowNull: true
@@ -49,15 +61,42 @@ const Product = sequelize.define('Product', {
       key: 'id'
     },
     onDelete: 'CASCADE'
+  },
+  // Organization whose inventory the product belongs to; userId is who created it
+  organizationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
   }
 }, {
   tableName: 'products',
-  timestamps: true
+  timestamps: true,
+  // Deleting only sets deletedAt, so the product's stock history survives
+  paranoid: true,
+  indexes: [
+    { fields: ['organizationId'] },
+    { fields: ['categoryId'] }
+  ],
+  hooks: {
+    // The generated "searchVector" column (utils/productSearch.js) is not an
+    // attribute, so a full alter would drop it; only add new columns here
+    beforeSync: (options) => {
+      if (options.alter) {
+        options.alter = { drop: false };
+      }
+    }
+  }
 });
 
 // Define associations
 Product.belongsTo(User, { foreignKey: 'userId', as: 'owner' });
 User.hasMany(Product, { foreignKey: 'userId', as: 'products' });
+Product.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+Organization.hasMany(Product, { foreignKey: 'organizationId', as: 'products' });
 
 module.exports = Product;
 
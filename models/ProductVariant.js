@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+
+// One sellable version of a product, such as a size or color. A product with
+// variants stocks only through them: its own stock is the sum of theirs.
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Stock keeping unit, stored upper case and unique among the live variants
+  // of the organization's live products (utils/variants.js skuTaken); the
+  // index below only backs this up within one product
+  sku: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Option attributes telling the variant apart, e.g. { "size": "M", "color": "Red" }
+  options: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0,
+      isDecimal: true
+    }
+  },
+  stock: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      isInt: true
+    }
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  // Deleted variants are kept, so stock movements still say which one moved
+  paranoid: true,
+  indexes: [
+    { fields: ['productId'] },
+    // A deleted variant's SKU can be used again
+    { name: 'product_variants_product_sku', unique: true, fields: ['productId', 'sku'], where: { deletedAt: null } }
+  ]
+});
+
+// Define associations
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variants' });
+
+module.exports = ProductVariant;
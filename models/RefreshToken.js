@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // SHA-256 of the opaque token; the raw value is only ever returned to the client
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replacedById: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['familyId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+// Define associations
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+
+module.exports = RefreshToken;
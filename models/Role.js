@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Permission = require('./Permission');
+
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Referenced by users.role, so renames cascade to every member
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z][a-z0-9_]*$/,
+      len: [2, 50]
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Built-in roles the application relies on; they cannot be renamed or deleted
+  isSystem: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'roles',
+  timestamps: true
+});
+
+// Define associations
+Role.belongsToMany(Permission, { through: 'role_permissions', foreignKey: 'roleId', otherKey: 'permissionId', as: 'permissions' });
+Permission.belongsToMany(Role, { through: 'role_permissions', foreignKey: 'permissionId', otherKey: 'roleId', as: 'roles' });
+
+module.exports = Role;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const RefreshToken = require('./RefreshToken');
+
+// One row per login; its id is the familyId shared by the refresh tokens it rotates through
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Follows the expiry of the newest refresh token
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // How the user signed in; SSO logins leave second factors to the identity provider
+  authMethod: {
+    type: DataTypes.ENUM('password', 'oidc'),
+    allowNull: false,
+    defaultValue: 'password'
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+// Define associations
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+Session.hasMany(RefreshToken, { foreignKey: 'familyId', as: 'refreshTokens', constraints: false });
+
+module.exports = Session;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+
+// Append-only ledger of stock changes. A product's stock, or a variant's,
+// always equals the sum of its movements' quantities. Products and variants
+// are soft-deleted, and the database refuses to remove one that still has
+// movements; only purging a whole inventory (utils/organizations.js) does.
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'RESTRICT'
+  },
+  // Variant whose stock moved; null for products without variants
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'RESTRICT'
+  },
+  type: {
+    type: DataTypes.ENUM('receipt', 'sale', 'adjustment', 'return'),
+    allowNull: false
+  },
+  // Signed change: negative for sales and for adjustments that remove stock
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Stock of the product, or of the variant, once the movement was applied
+  stockAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  // User who recorded the movement; kept as null when the account is deleted
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'stock_movements',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['productId', 'createdAt'] },
+    { fields: ['variantId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+// Define associations
+StockMovement.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+StockMovement.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+StockMovement.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Product.hasMany(StockMovement, { foreignKey: 'productId', as: 'stockMovements' });
+
+module.exports = StockMovement;
@@ -34,19 +34,78 @@ const User = sequelize.define('User', {
       notEmpty: true
     }
   },
+  // Name of a row in roles; permissions are granted through the role.
+  // Defaults to 'user' in the beforeValidate hook, as sync({ alter }) cannot
+  // change a column that has both a default and a foreign key.
   role: {
-    type: DataTypes.ENUM('user', 'admin'),
-    defaultValue: 'user',
-    allowNull: false
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    references: {
+      model: 'roles',
+      key: 'name'
+    },
+    onUpdate: 'CASCADE'
   },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  mfaEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  // Base32 TOTP secret; set during enrollment before mfaEnabled is switched on
+  mfaSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // SHA-256 hashes of the unused recovery codes
+  mfaRecoveryCodes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(64)),
+    allowNull: false,
+    defaultValue: []
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  mfaLastUsedStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  // Identity at the single sign-on provider, set the first time the account signs in with SSO
+  oidcIssuer: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  oidcSubject: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when the account was anonymized on an erasure request
+  erasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
   timestamps: true,
+  indexes: [
+    { unique: true, fields: ['oidcIssuer', 'oidcSubject'] }
+  ],
   hooks: {
+    beforeValidate: (user) => {
+      if (!user.role) {
+        user.role = 'user';
+      }
+    },
     beforeCreate: async (user) => {
       if (user.password) {
         user.password = await bcrypt.hash(user.password, 10);
@@ -65,10 +124,13 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to get public user data (exclude password)
+// Instance method to get public user data (exclude password and MFA secrets)
 User.prototype.toJSON = function() {
   const values = { ...this.get() };
   delete values.password;
+  delete values.mfaSecret;
+  delete values.mfaRecoveryCodes;
+  delete values.mfaLastUsedStep;
   return values;
 };
 
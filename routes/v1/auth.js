@@ -1,17 +1,83 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { sequelize } = require('../../config/database');
 const User = require('../../models/User');
-const { generateToken } = require('../../utils/jwt');
-const { authenticate } = require('../../middleware/auth');
+const Invitation = require('../../models/Invitation');
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const Session = require('../../models/Session');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeSession, revokeUserSessions } = require('../../utils/refreshToken');
+const { generateOpaqueToken, hashToken } = require('../../utils/tokens');
+const { generateEmailVerificationToken, verifyEmailVerificationToken, generateMfaToken } = require('../../utils/jwt');
+const { sendMail } = require('../../utils/mailer');
+const { throttleKeys, checkLoginThrottle, recordLoginFailure, clearLoginFailures, sendThrottled } = require('../../utils/loginThrottle');
+const { authenticate, requireSession, isMfaRequired } = require('../../middleware/auth');
+const { getRolePermissions, isLastAdmin } = require('../../utils/rbac');
+const { endImpersonation } = require('../../utils/impersonation');
+const { checkPasswordPolicy, getPasswordPolicy } = require('../../utils/passwordPolicy');
+const { isInviteOnly, findPendingInvitation } = require('../../utils/invitations');
+const { buildDataExport, eraseUser, logDataRequest, sendDataExport } = require('../../utils/privacy');
+const { findSoleOwnedTeams } = require('../../utils/organizations');
+const { recordLoginEvent } = require('../../utils/activity');
+const { recordAudit } = require('../../utils/audit');
+const { revokeUserApiTokens } = require('../../utils/apiToken');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Profile rules shared by registration and profile updates
+const usernameValidator = (field) => body(field)
+  .trim()
+  .isLength({ min: 3, max: 50 })
+  .withMessage('Username must be between 3 and 50 characters')
+  .matches(/^[a-zA-Z0-9_]+$/)
+  .withMessage('Username can only contain letters, numbers, and underscores');
+
+const emailValidator = (field) => body(field)
+  .trim()
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail();
+
+// Presence only; the rules themselves come from the password policy, which
+// needs the user to check reuse and so runs inside each handler
+const passwordValidator = (field) => body(field)
+  .isString()
+  .withMessage('Password is required')
+  .bail()
+  .notEmpty()
+  .withMessage('Password is required');
+
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Email a signed verification link to the user.
+ * Mail failures are logged rather than failing the request.
+ * @param {Object} user - User to verify
+ */
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/verify-email?token=${token}`;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your PrimeTrade email address',
+      text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below.\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`
+    });
+  } catch (mailError) {
+    console.error('Failed to send verification email:', mailError);
+  }
+};
+
 /**
  * @swagger
  * /api/v1/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: |
+ *       With REGISTRATION_MODE=invite an invitation token is required. Accepting
+ *       an invitation gives the account the invited role and a verified email.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -33,36 +99,39 @@ const router = express.Router();
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
+ *                 description: Must satisfy the password policy (GET /api/v1/auth/password-policy)
+ *               inviteToken:
+ *                 type: string
+ *                 description: Token from the invitation link; the email must match the invitation
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, password policy violation or invalid invitation
+ *       403:
+ *         description: Registration is by invitation only
  *       409:
  *         description: User already exists
  */
 router.post('/register',
   [
-    body('username')
-      .trim()
-      .isLength({ min: 3, max: 50 })
-      .withMessage('Username must be between 3 and 50 characters')
-      .matches(/^[a-zA-Z0-9_]+$/)
-      .withMessage('Username can only contain letters, numbers, and underscores'),
-    body('email')
-      .trim()
-      .isEmail()
-      .withMessage('Please provide a valid email address')
-      .normalizeEmail(),
-    body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    usernameValidator('username'),
+    emailValidator('email'),
+    passwordValidator('password'),
+    body('inviteToken')
+      .optional()
+      .isString()
+      .withMessage('Invitation token must be a string')
   ],
   async (req, res, next) => {
     try {
+      if (isInviteOnly() && !req.body.inviteToken) {
+        return res.status(403).json({
+          success: false,
+          message: 'Registration is by invitation only'
+        });
+      }
+
       // Check validation errors
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -73,7 +142,16 @@ router.post('/register',
         });
       }
 
-      const { username, email, password } = req.body;
+      const { username, email, password, inviteToken } = req.body;
+
+      const passwordErrors = await checkPasswordPolicy(password);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors: passwordErrors
+        });
+      }
 
       // Check if user already exists
       const existingUser = await User.findOne({
@@ -89,22 +167,145 @@ router.post('/register',
         });
       }
 
-      // Create new user
-      const user = await User.create({
-        username,
-        email,
-        password
+      let invitation = null;
+      if (inviteToken) {
+        invitation = await findPendingInvitation(inviteToken);
+        if (!invitation) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invitation is invalid or has expired'
+          });
+        }
+        if (invitation.email !== email) {
+          return res.status(400).json({
+            success: false,
+            message: 'This invitation was sent to a different email address'
+          });
+        }
+      }
+
+      const user = await sequelize.transaction(async (transaction) => {
+        if (invitation) {
+          // Conditional update keeps the invitation single-use under concurrent requests
+          const [accepted] = await Invitation.update(
+            { acceptedAt: new Date() },
+            { where: { id: invitation.id, acceptedAt: null, revokedAt: null }, transaction }
+          );
+          if (accepted === 0) {
+            return null;
+          }
+        }
+
+        // The invitation link was emailed, which already proves the address
+        const created = await User.create({
+          username,
+          email,
+          password,
+          ...(invitation && { role: invitation.role, emailVerified: true })
+        }, { transaction });
+
+        if (invitation) {
+          await Invitation.update(
+            { acceptedById: created.id },
+            { where: { id: invitation.id }, transaction }
+          );
+        }
+        return created;
       });
 
-      // Generate token
-      const token = generateToken(user);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation is invalid or has expired'
+        });
+      }
+
+      if (!user.emailVerified) {
+        await sendVerificationEmail(user);
+      }
+
+      // No session until the email address is confirmed
+      if (isEmailVerificationRequired() && !user.emailVerified) {
+        return res.status(201).json({
+          success: true,
+          message: 'User registered successfully. Please check your email to verify your account.',
+          data: {
+            user
+          }
+        });
+      }
+
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(user, req);
 
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
         data: {
           user,
-          token
+          token,
+          refreshToken
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/invitation:
+ *   get:
+ *     summary: Look up a pending invitation to prefill the sign-up form
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invited email, role and expiry
+ *       404:
+ *         description: Invitation is invalid, used, revoked or expired
+ */
+router.get('/invitation',
+  [
+    query('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Invitation token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await findPendingInvitation(req.query.token);
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation is invalid or has expired'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          invitation: {
+            email: invitation.email,
+            role: invitation.role,
+            expiresAt: invitation.expiresAt
+          }
         }
       });
     } catch (error) {
@@ -113,6 +314,24 @@ router.post('/register',
   }
 );
 
+/**
+ * @swagger
+ * /api/v1/auth/password-policy:
+ *   get:
+ *     summary: Get the rules new passwords must satisfy
+ *     description: Violations are returned by register, reset-password and change-password as validation errors with a `rule` key.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Password policy
+ */
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { policy: getPasswordPolicy() }
+  });
+});
+
 /**
  * @swagger
  * /api/v1/auth/login:
@@ -136,9 +355,15 @@ router.post('/register',
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge (mfaRequired / mfaSetupRequired with mfaToken)
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Email address not verified
+ *       423:
+ *         description: Account temporarily locked after repeated failures
+ *       429:
+ *         description: Too many failed attempts, retry after the given delay
  */
 router.post('/login',
   [
@@ -168,7 +393,21 @@ router.post('/login',
       // Find user by email
       const user = await User.findOne({ where: { email } });
 
+      // Per-email and per-account brute-force protection
+      const keys = throttleKeys(email, user);
+      const block = await checkLoginThrottle(keys);
+      if (block) {
+        if (user) {
+          await recordLoginEvent(user, req, { success: false, failureReason: 'throttled' });
+        }
+        return sendThrottled(res, block);
+      }
+
       if (!user) {
+        const lock = await recordLoginFailure(keys);
+        if (lock) {
+          return sendThrottled(res, lock);
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
@@ -177,6 +416,7 @@ router.post('/login',
 
       // Check if user is active
       if (!user.isActive) {
+        await recordLoginEvent(user, req, { success: false, failureReason: 'inactive' });
         return res.status(401).json({
           success: false,
           message: 'Account is deactivated. Please contact administrator.'
@@ -187,21 +427,64 @@ router.post('/login',
       const isPasswordValid = await user.comparePassword(password);
 
       if (!isPasswordValid) {
+        await recordLoginEvent(user, req, { success: false, failureReason: 'invalid_password' });
+        const lock = await recordLoginFailure(keys);
+        if (lock) {
+          return sendThrottled(res, lock);
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
         });
       }
 
-      // Generate token
-      const token = generateToken(user);
+      if (isEmailVerificationRequired() && !user.emailVerified) {
+        await recordLoginEvent(user, req, { success: false, failureReason: 'email_unverified' });
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address before logging in.'
+        });
+      }
+
+      // Second step: exchange the challenge at /auth/mfa/verify
+      if (user.mfaEnabled) {
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            mfaRequired: true,
+            mfaToken: generateMfaToken(user, 'mfa-verify')
+          }
+        });
+      }
+
+      // Accounts that must use 2FA enroll via /auth/mfa/setup and /auth/mfa/confirm first
+      if (await isMfaRequired(user)) {
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication must be set up for this account',
+          data: {
+            mfaSetupRequired: true,
+            mfaToken: generateMfaToken(user, 'mfa-setup')
+          }
+        });
+      }
+
+      // Only a complete login resets the counters, so a known password
+      // cannot be used to reset them between two-factor guesses
+      await clearLoginFailures(keys);
+      await recordLoginEvent(user, req, { success: true });
+
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(user, req);
 
       res.status(200).json({
         success: true,
         message: 'Login successful',
         data: {
           user,
-          token
+          token,
+          refreshToken
         }
       });
     } catch (error) {
@@ -212,26 +495,944 @@ router.post('/login',
 
 /**
  * @swagger
- * /api/v1/auth/me:
- *   get:
- *     summary: Get current user profile
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Tokens refreshed successfully
  *       401:
- *         description: Unauthorized
+ *         description: Invalid, expired or revoked refresh token
  */
-router.get('/me', authenticate, async (req, res) => {
-  res.status(200).json({
-    success: true,
-    data: {
-      user: req.user
+router.post('/refresh',
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token. Please login again.'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: result.token,
+          refreshToken: result.refreshToken
+        }
+      });
+    } catch (error) {
+      next(error);
     }
-  });
-});
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the refresh token family
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ */
+router.post('/logout',
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await revokeRefreshToken(req.body.refreshToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password',
+  [
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .normalizeEmail()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ where: { email: req.body.email } });
+
+      // Same response whether or not the account exists, to avoid leaking emails
+      if (user && user.isActive) {
+        // Only the most recent link stays valid
+        await PasswordResetToken.update(
+          { usedAt: new Date() },
+          { where: { userId: user.id, usedAt: null } }
+        );
+
+        const token = generateOpaqueToken();
+        await PasswordResetToken.create({
+          tokenHash: hashToken(token),
+          userId: user.id,
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        });
+
+        const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/reset-password?token=${token}`;
+        try {
+          await sendMail({
+            to: user.email,
+            subject: 'Reset your PrimeTrade password',
+            text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+          });
+        } catch (mailError) {
+          console.error('Failed to send password reset email:', mailError);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Signs out every session and revokes every personal access token of the account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/v1/auth/password-policy)
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error, password policy violation or invalid/expired token
+ */
+router.post('/reset-password',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    passwordValidator('password')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const resetToken = await PasswordResetToken.findOne({
+        where: {
+          tokenHash: hashToken(req.body.token),
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() }
+        },
+        include: [{ model: User, as: 'user' }]
+      });
+
+      if (!resetToken || !resetToken.user || !resetToken.user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token'
+        });
+      }
+
+      const passwordErrors = await checkPasswordPolicy(req.body.password, { user: resetToken.user });
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors: passwordErrors
+        });
+      }
+
+      const consumed = await sequelize.transaction(async (transaction) => {
+        // Conditional update keeps the token single-use under concurrent requests
+        const [updated] = await PasswordResetToken.update(
+          { usedAt: new Date() },
+          { where: { id: resetToken.id, usedAt: null }, transaction }
+        );
+        if (updated === 0) {
+          return null;
+        }
+        // The beforeUpdate hook hashes the new password
+        await resetToken.user.update({ password: req.body.password }, { transaction });
+        // Tokens minted by whoever had the account stop working too
+        const revokedApiTokens = await revokeUserApiTokens(resetToken.userId, transaction);
+        return { revokedApiTokens };
+      });
+
+      if (!consumed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token'
+        });
+      }
+
+      // Sign out every existing session
+      await revokeUserSessions(resetToken.userId);
+
+      await recordAudit('user.password_reset', req, {
+        userId: resetToken.userId,
+        metadata: consumed
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please login with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   get:
+ *     summary: Verify an email address using the emailed token
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.get('/verify-email',
+  [
+    query('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyEmailVerificationToken(req.query.token);
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification link'
+        });
+      }
+
+      const user = await User.findByPk(decoded.id);
+
+      // The link is tied to the address it was sent to
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification link'
+        });
+      }
+
+      if (!user.emailVerified) {
+        await user.update({ emailVerified: true });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ */
+router.post('/resend-verification',
+  [
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .normalizeEmail()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ where: { email: req.body.email } });
+
+      // Same response whether or not the account exists, to avoid leaking emails
+      if (user && user.isActive && !user.emailVerified) {
+        await sendVerificationEmail(user);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'If an unverified account exists for this email, a verification link has been sent.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile and the permissions granted by their role, plus the impersonating admin if any
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const permissions = await getRolePermissions(req.user.role);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: req.user,
+        permissions,
+        impersonation: req.impersonation && {
+          id: req.impersonation.id,
+          expiresAt: req.impersonation.expiresAt,
+          impersonator: {
+            id: req.impersonator.id,
+            username: req.impersonator.username,
+            email: req.impersonator.email
+          }
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/impersonation:
+ *   delete:
+ *     summary: End the impersonation the token was issued for
+ *     description: The impersonation token stops working immediately. The admin's own tokens are unaffected.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: Not an impersonation token
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/impersonation', authenticate, async (req, res, next) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating anyone'
+      });
+    }
+
+    await endImpersonation(req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   patch:
+ *     summary: Update the current user's username or email
+ *     description: Changing the email marks it unverified and sends a new verification link.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 50
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Username or email already in use
+ */
+router.patch('/me',
+  authenticate,
+  requireSession,
+  [
+    usernameValidator('username').optional(),
+    emailValidator('email').optional(),
+    body()
+      .custom(value => value.username !== undefined || value.email !== undefined)
+      .withMessage('Provide a username or email to update')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const updates = {};
+      if (req.body.username !== undefined && req.body.username !== req.user.username) {
+        updates.username = req.body.username;
+      }
+      if (req.body.email !== undefined && req.body.email !== req.user.email) {
+        updates.email = req.body.email;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        const existingUser = await User.findOne({
+          where: {
+            id: { [Op.ne]: req.user.id },
+            [Op.or]: Object.entries(updates).map(([field, value]) => ({ [field]: value }))
+          }
+        });
+
+        if (existingUser) {
+          return res.status(409).json({
+            success: false,
+            message: 'Username or email is already in use'
+          });
+        }
+      }
+
+      const emailChanged = updates.email !== undefined;
+      if (emailChanged) {
+        // The new address has to be confirmed before it counts as verified
+        updates.emailVerified = false;
+      }
+
+      await req.user.update(updates);
+
+      if (emailChanged) {
+        await sendVerificationEmail(req.user);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: emailChanged
+          ? 'Profile updated. Please check your new email address to verify it.'
+          : 'Profile updated successfully',
+        data: {
+          user: req.user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/me/export:
+ *   get:
+ *     summary: Download everything stored about the current user
+ *     description: Returns a JSON archive of the profile, products, organization memberships, sessions, login history, API tokens, invitations sent, impersonations and activity. The request is logged.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON archive, sent as a file download
+ */
+router.get('/me/export', authenticate, requireSession, async (req, res, next) => {
+  try {
+    logDataRequest('privacy.export', req, res, req.user.id);
+
+    const archive = await buildDataExport(req.user);
+    sendDataExport(res, req.user, archive);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/me/erase:
+ *   post:
+ *     summary: Erase the current user's personal data
+ *     description: |
+ *       Anonymizes the account and signs it out everywhere; it cannot be used again.
+ *       Products are kept. Confirm with the password, or with the email address
+ *       when signed in through single sign-on. The request is logged.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account erased
+ *       400:
+ *         description: Confirmation missing or incorrect
+ *       409:
+ *         description: The last active admin, or the only owner of a team organization, cannot be erased
+ */
+router.post('/me/erase',
+  authenticate,
+  requireSession,
+  [
+    body('password').optional().isString().withMessage('Password must be a string'),
+    body('email').optional().isString().withMessage('Email must be a string')
+  ],
+  async (req, res, next) => {
+    try {
+      logDataRequest('privacy.erasure', req, res, req.user.id);
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // SSO accounts have no password they know, so they confirm with their email
+      if (req.authSession.authMethod === 'oidc') {
+        if ((req.body.email || '').toLowerCase() !== req.user.email.toLowerCase()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Please confirm by entering your email address'
+          });
+        }
+      } else if (!req.body.password || !await req.user.comparePassword(req.body.password)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      if (await isLastAdmin(req.user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The last active admin cannot be erased'
+        });
+      }
+
+      // Teams the user alone owns would be left without anyone to run them
+      const soleOwnedTeams = await findSoleOwnedTeams(req.user.id);
+      if (soleOwnedTeams.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `You are the only owner of ${soleOwnedTeams.map(organization => organization.name).join(', ')}. Make another member an owner, or delete the organization, first.`,
+          data: { organizations: soleOwnedTeams.map(organization => ({ id: organization.id, name: organization.name })) }
+        });
+      }
+
+      await eraseUser(req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Your account and personal data have been erased'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: |
+ *       Requires the current password. Every other session of the account is
+ *       signed out and every personal access token is revoked.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/v1/auth/password-policy)
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error, password policy violation or incorrect current password
+ */
+router.post('/change-password',
+  authenticate,
+  requireSession,
+  [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required'),
+    passwordValidator('newPassword')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      const isPasswordValid = await req.user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password must be different from the current password'
+        });
+      }
+
+      const passwordErrors = await checkPasswordPolicy(newPassword, { field: 'newPassword', user: req.user });
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors: passwordErrors
+        });
+      }
+
+      const revokedApiTokens = await sequelize.transaction(async (transaction) => {
+        // The beforeUpdate hook hashes the new password
+        await req.user.update({ password: newPassword }, { transaction });
+        // Tokens minted before the change could have been made by someone else
+        return revokeUserApiTokens(req.user.id, transaction);
+      });
+
+      // Keep this session signed in; every other one must log in again
+      await revokeUserSessions(req.user.id, { except: req.authSession.id });
+
+      await recordAudit('user.password_change', req, {
+        metadata: { revokedApiTokens }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed successfully. Other sessions have been signed out and API tokens revoked.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List the active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, requireSession, async (req, res, next) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastSeenAt', 'DESC']],
+      attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt', 'expiresAt']
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.authSession.id
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id',
+  authenticate,
+  requireSession,
+  [
+    param('id').isUUID().withMessage('Invalid session ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const session = await Session.findOne({
+        where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await revokeSession(session.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session signed out successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 module.exports = router;
 
@@ -0,0 +1,470 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const Category = require('../../models/Category');
+const Product = require('../../models/Product');
+const { uniqueSlug, listCategories, getDescendantIds } = require('../../utils/categories');
+const { authenticate, requireScope, requirePermission } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// All category routes require authentication
+router.use(authenticate);
+
+const nameValidator = (chain) => chain
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Category name must be between 1 and 100 characters');
+
+const slugValidator = body('slug')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 120 })
+  .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .withMessage('Slug must be 1 to 120 lowercase letters, numbers and single hyphens');
+
+const parentValidator = body('parentId')
+  .optional({ values: 'null' })
+  .isUUID()
+  .withMessage('Parent id must be a UUID or null');
+
+/**
+ * Whether another category under the same parent already has this name
+ * @param {String} name - Proposed name
+ * @param {String|null} parentId - Parent the category sits under
+ * @param {String} excludeId - Category being updated, if any
+ * @returns {Boolean} True if the name is taken
+ */
+const siblingNameTaken = async (name, parentId, excludeId = null) => {
+  const sibling = await Category.findOne({
+    where: {
+      parentId,
+      [Op.and]: [sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())],
+      ...(excludeId && { id: { [Op.ne]: excludeId } })
+    }
+  });
+  return sibling !== null;
+};
+
+/**
+ * @swagger
+ * /api/v1/categories:
+ *   get:
+ *     summary: List the category tree
+ *     description: |
+ *       Every category, ordered depth-first by name. Each carries its parentId,
+ *       path (names from the top, joined by " / ") and depth (0 for top-level).
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ */
+router.get('/',
+  requireScope('products:read'),
+  async (req, res, next) => {
+    try {
+      const categories = await listCategories();
+
+      res.status(200).json({
+        success: true,
+        data: { categories }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category with its ancestors and children
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:idOrSlug',
+  requireScope('products:read'),
+  async (req, res, next) => {
+    try {
+      const categories = await listCategories();
+      const category = categories.find(candidate =>
+        candidate.id === req.params.idOrSlug || candidate.slug === req.params.idOrSlug
+      );
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const byId = new Map(categories.map(candidate => [candidate.id, candidate]));
+      const ancestors = [];
+      for (let current = byId.get(category.parentId); current; current = byId.get(current.parentId)) {
+        ancestors.unshift(current);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          category: {
+            ...category,
+            ancestors,
+            children: categories.filter(candidate => candidate.parentId === category.id)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories:
+ *   post:
+ *     summary: Create a category (requires categories:manage)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Generated from the name when omitted
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         description: Validation error or unknown parent
+ *       403:
+ *         description: Missing the categories:manage permission
+ *       409:
+ *         description: Slug taken, or a sibling already has the name
+ */
+router.post('/',
+  requireScope('products:write'),
+  requirePermission('categories:manage'),
+  [
+    nameValidator(body('name')),
+    slugValidator,
+    parentValidator
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, slug } = req.body;
+      const parentId = req.body.parentId || null;
+
+      if (parentId && !await Category.findByPk(parentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+      if (await siblingNameTaken(name, parentId)) {
+        return res.status(409).json({
+          success: false,
+          message: `A category called "${name}" already exists here`
+        });
+      }
+      if (slug && await Category.findOne({ where: { slug } })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Slug is already in use'
+        });
+      }
+
+      const category = await Category.create({
+        name,
+        slug: slug || await uniqueSlug(name),
+        parentId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Category created successfully',
+        data: { category }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}:
+ *   patch:
+ *     summary: Rename or move a category (requires categories:manage)
+ *     description: Products in the category pick up a new name straight away.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: null moves the category to the top level
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Validation error, unknown parent, or a move below itself
+ *       403:
+ *         description: Missing the categories:manage permission
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Slug taken, or a sibling already has the name
+ */
+router.patch('/:id',
+  requireScope('products:write'),
+  requirePermission('categories:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid category id'),
+    nameValidator(body('name').optional()),
+    slugValidator,
+    parentValidator
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await Category.findByPk(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const name = req.body.name ?? category.name;
+      const parentId = req.body.parentId === undefined ? category.parentId : req.body.parentId;
+
+      if (parentId && parentId !== category.parentId) {
+        if (!await Category.findByPk(parentId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent category not found'
+          });
+        }
+        const subtree = await getDescendantIds([category.id]);
+        if (subtree.includes(parentId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A category cannot be moved below itself or one of its descendants'
+          });
+        }
+      }
+      if (await siblingNameTaken(name, parentId, category.id)) {
+        return res.status(409).json({
+          success: false,
+          message: `A category called "${name}" already exists here`
+        });
+      }
+      if (req.body.slug && req.body.slug !== category.slug && await Category.findOne({ where: { slug: req.body.slug } })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Slug is already in use'
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const renamed = name !== category.name;
+        await category.update({
+          name,
+          parentId,
+          slug: req.body.slug || category.slug
+        }, { transaction });
+
+        // Keep the name copied onto products in step
+        if (renamed) {
+          await Product.update({ category: name }, { where: { categoryId: category.id }, transaction });
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Category updated successfully',
+        data: { category }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}:
+ *   delete:
+ *     summary: Delete a category (requires categories:manage)
+ *     description: |
+ *       The category must not have children. Its products are left without a
+ *       category, or moved to reassignTo, which also merges duplicates.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: reassignTo
+ *         description: Category to move the products to
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: Validation error or unknown reassignTo category
+ *       403:
+ *         description: Missing the categories:manage permission
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has children
+ */
+router.delete('/:id',
+  requireScope('products:write'),
+  requirePermission('categories:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid category id'),
+    query('reassignTo')
+      .optional()
+      .isUUID()
+      .withMessage('reassignTo must be a category id')
+      .custom((value, { req }) => value !== req.params.id)
+      .withMessage('A category cannot be reassigned to itself')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await Category.findByPk(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const childCount = await Category.count({ where: { parentId: category.id } });
+      if (childCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Category still has ${childCount} subcategor${childCount === 1 ? 'y' : 'ies'}. Move or delete them first.`,
+          data: { childCount }
+        });
+      }
+
+      let target = null;
+      if (req.query.reassignTo) {
+        target = await Category.findByPk(req.query.reassignTo);
+        if (!target) {
+          return res.status(400).json({
+            success: false,
+            message: 'Category to reassign products to was not found'
+          });
+        }
+      }
+
+      const [movedProducts] = await sequelize.transaction(async (transaction) => {
+        const moved = await Product.update(
+          { categoryId: target ? target.id : null, category: target ? target.name : null },
+          { where: { categoryId: category.id }, transaction }
+        );
+        await category.destroy({ transaction });
+        return moved;
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Category deleted successfully',
+        data: { movedProducts }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
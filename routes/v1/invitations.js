@@ -0,0 +1,424 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const Invitation = require('../../models/Invitation');
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const { DEFAULT_ROLE } = require('../../utils/rbac');
+const { INVITATION_TTL_DAYS, INVITATION_MAX_TTL_DAYS, sendInvitation } = require('../../utils/invitations');
+const { authenticate, requireScope, requirePermission } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// All invitation routes require authentication
+router.use(authenticate);
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const expiresInDaysValidator = body('expiresInDays')
+  .optional()
+  .isInt({ min: 1, max: INVITATION_MAX_TTL_DAYS })
+  .withMessage(`Expiry must be between 1 and ${INVITATION_MAX_TTL_DAYS} days`)
+  .toInt();
+
+/**
+ * Where clause selecting invitations in a given status
+ * @param {String} status - pending, accepted, revoked or expired
+ * @returns {Object} Sequelize where clause
+ */
+const statusWhere = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'accepted':
+      return { acceptedAt: { [Op.ne]: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { [Op.ne]: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } };
+    default:
+      return { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: now } };
+  }
+};
+
+/**
+ * Inviting someone into a role other than the default hands out that role's
+ * permissions, so it needs the same permission as assigning roles
+ * @param {Object} req - Express request, after requirePermission has loaded req.permissions
+ * @param {String} role - Role the invitation grants
+ * @returns {Boolean} True if the caller may invite into the role
+ */
+const canInviteAs = (req, role) => role === DEFAULT_ROLE || req.permissions.has('roles:manage');
+
+/**
+ * @swagger
+ * /api/v1/invitations:
+ *   get:
+ *     summary: List invitations (requires users:invite)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       400:
+ *         description: Invalid status, page or limit
+ *       403:
+ *         description: Missing the users:invite permission
+ */
+router.get('/',
+  requireScope('users:read'),
+  requirePermission('users:invite'),
+  [
+    query('status')
+      .optional()
+      .isIn(INVITATION_STATUSES)
+      .withMessage(`Status must be one of: ${INVITATION_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const { count, rows: invitations } = await Invitation.findAndCountAll({
+        where: req.query.status ? statusWhere(req.query.status) : {},
+        limit,
+        offset,
+        order: [['createdAt', 'DESC']],
+        include: [
+          { model: User, as: 'invitedBy', attributes: ['id', 'username', 'email'] },
+          { model: User, as: 'acceptedBy', attributes: ['id', 'username', 'email'] }
+        ]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          invitations,
+          pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/invitations:
+ *   post:
+ *     summary: Invite someone to register (requires users:invite)
+ *     description: Emails a sign-up link. Inviting into any role other than the default also requires roles:manage.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 default: user
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created and sent
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: Missing the users:invite permission, or roles:manage for the requested role
+ *       409:
+ *         description: An account or a pending invitation already exists for the email
+ */
+router.post('/',
+  requireScope('users:write'),
+  requirePermission('users:invite'),
+  [
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .normalizeEmail(),
+    body('role')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Role must be a non-empty string'),
+    expiresInDaysValidator
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email, role = DEFAULT_ROLE, expiresInDays = INVITATION_TTL_DAYS } = req.body;
+
+      if (!await Role.findOne({ where: { name: role } })) {
+        return res.status(400).json({
+          success: false,
+          message: `Role '${role}' does not exist`
+        });
+      }
+
+      if (!canInviteAs(req, role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Inviting with the '${role}' role requires the 'roles:manage' permission.`
+        });
+      }
+
+      if (await User.findOne({ where: { email } })) {
+        return res.status(409).json({
+          success: false,
+          message: 'A user with this email already exists'
+        });
+      }
+
+      if (await Invitation.findOne({ where: { email, ...statusWhere('pending') } })) {
+        return res.status(409).json({
+          success: false,
+          message: 'A pending invitation already exists for this email. Resend or revoke it instead.'
+        });
+      }
+
+      const invitation = Invitation.build({ email, role, invitedById: req.user.id });
+      const emailSent = await sendInvitation(invitation, req.user, expiresInDays);
+
+      res.status(201).json({
+        success: true,
+        message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+        data: {
+          invitation,
+          emailSent
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/invitations/{id}/resend:
+ *   post:
+ *     summary: Send an invitation again with a new link and expiry (requires users:invite)
+ *     description: The previously sent link stops working. Expired invitations can be resent.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked, or its role was deleted
+ */
+router.post('/:id/resend',
+  requireScope('users:write'),
+  requirePermission('users:invite'),
+  [
+    param('id').isUUID().withMessage('Invalid invitation id'),
+    expiresInDaysValidator
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await Invitation.findByPk(req.params.id);
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (invitation.acceptedAt || invitation.revokedAt) {
+        return res.status(409).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`
+        });
+      }
+
+      // Expired invitations do not hold on to their role
+      if (!await Role.findOne({ where: { name: invitation.role } })) {
+        return res.status(409).json({
+          success: false,
+          message: `Role '${invitation.role}' no longer exists. Send a new invitation instead.`
+        });
+      }
+
+      if (!canInviteAs(req, invitation.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Inviting with the '${invitation.role}' role requires the 'roles:manage' permission.`
+        });
+      }
+
+      const emailSent = await sendInvitation(invitation, req.user, req.body.expiresInDays || INVITATION_TTL_DAYS);
+
+      res.status(200).json({
+        success: true,
+        message: emailSent ? 'Invitation resent' : 'Invitation renewed, but the email could not be sent',
+        data: {
+          invitation,
+          emailSent
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation (requires users:invite)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted
+ */
+router.delete('/:id',
+  requireScope('users:write'),
+  requirePermission('users:invite'),
+  [
+    param('id').isUUID().withMessage('Invalid invitation id')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await Invitation.findByPk(req.params.id);
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (invitation.acceptedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'Invitation has already been accepted'
+        });
+      }
+
+      if (!invitation.revokedAt) {
+        await invitation.update({ revokedAt: new Date() });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked',
+        data: { invitation }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,517 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { sequelize } = require('../../config/database');
+const User = require('../../models/User');
+const { verifyPurposeToken } = require('../../utils/jwt');
+const { issueTokens } = require('../../utils/refreshToken');
+const { recordLoginEvent } = require('../../utils/activity');
+const { hashToken } = require('../../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../../utils/totp');
+const { throttleKeys, checkLoginThrottle, recordLoginFailure, clearLoginFailures, sendThrottled } = require('../../utils/loginThrottle');
+const { authenticate, requireSession, isMfaRequired } = require('../../middleware/auth');
+
+const router = express.Router();
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} Plain codes for the user and hashes for storage
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) => hashToken(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''));
+
+/**
+ * Check a TOTP or recovery code against a user
+ * @param {Object} user - User with MFA enabled
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Object|null} Attribute updates to persist, or null if the code is invalid
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.mfaSecret, code);
+    // Reject replays of a code that was already accepted
+    if (step === null || (user.mfaLastUsedStep !== null && step <= Number(user.mfaLastUsedStep))) {
+      return null;
+    }
+    return { mfaLastUsedStep: step };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.mfaRecoveryCodes.includes(hash)) {
+      return null;
+    }
+    return { mfaRecoveryCodes: user.mfaRecoveryCodes.filter(h => h !== hash) };
+  }
+
+  return null;
+};
+
+/**
+ * Accept either a regular access token or the `mfa-setup` challenge
+ * returned by login for accounts that must enroll before signing in
+ */
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body.mfaToken) {
+    return authenticate(req, res, () => requireSession(req, res, next));
+  }
+
+  try {
+    const decoded = verifyPurposeToken(req.body.mfaToken, 'mfa-setup');
+    const user = await User.findByPk(decoded.id);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or inactive user token.'
+      });
+    }
+
+    req.user = user;
+    req.mfaSetupChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired two-factor challenge. Please login again.'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment and get the otpauth URI
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Setup challenge from login, instead of a bearer token
+ *     responses:
+ *       200:
+ *         description: Secret generated, confirm with a code to enable
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/setup', authenticateEnrollment, async (req, res, next) => {
+  try {
+    if (req.user.mfaEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await req.user.update({ mfaSecret: secret });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the URI with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm enrollment with a first code and receive recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               mfaToken:
+ *                 type: string
+ *                 description: Setup challenge from login, instead of a bearer token
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or enrollment not started
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/confirm',
+  [
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+  authenticateEnrollment,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = req.user;
+
+      if (user.mfaEnabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.mfaSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor setup has not been started'
+        });
+      }
+
+      const step = verifyCode(user.mfaSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await user.update({
+        mfaEnabled: true,
+        mfaRecoveryCodes: hashes,
+        mfaLastUsedStep: step
+      });
+
+      const data = { recoveryCodes: codes };
+
+      // Enrollment forced at login finishes the sign-in as well
+      if (req.mfaSetupChallenge) {
+        await recordLoginEvent(user, req, { success: true });
+        const { token, refreshToken } = await issueTokens(user, req);
+        Object.assign(data, { user, token, refreshToken });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/verify:
+ *   post:
+ *     summary: Complete login with a two-factor or recovery code
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked after repeated failures
+ *       429:
+ *         description: Too many failed attempts, retry after the given delay
+ */
+router.post('/verify',
+  [
+    body('mfaToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Two-factor challenge token is required'),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .trim()
+      .notEmpty()
+      .withMessage('Either code or recoveryCode is required'),
+    body('recoveryCode').optional().trim()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyPurposeToken(req.body.mfaToken, 'mfa-verify');
+      } catch (tokenError) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired two-factor challenge. Please login again.'
+        });
+      }
+
+      // Code guesses count towards the same lockout as password guesses
+      const account = await User.findByPk(decoded.id);
+      const keys = account ? throttleKeys(account.email, account) : [];
+      const block = account && await checkLoginThrottle(keys);
+      if (block) {
+        await recordLoginEvent(account, req, { success: false, failureReason: 'throttled' });
+        return sendThrottled(res, block);
+      }
+
+      // Lock the row so a code or recovery code can only be spent once
+      const user = await sequelize.transaction(async (transaction) => {
+        const locked = await User.findByPk(decoded.id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!locked || !locked.isActive || !locked.mfaEnabled) {
+          return null;
+        }
+
+        const updates = checkSecondFactor(locked, req.body);
+        if (!updates) {
+          return null;
+        }
+
+        await locked.update(updates, { transaction });
+        return locked;
+      });
+
+      if (!user) {
+        if (account) {
+          await recordLoginEvent(account, req, { success: false, failureReason: 'invalid_mfa_code' });
+        }
+        const lock = account && await recordLoginFailure(keys);
+        if (lock) {
+          return sendThrottled(res, lock);
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      await clearLoginFailures(keys);
+      await recordLoginEvent(user, req, { success: true });
+      const { token, refreshToken } = await issueTokens(user, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user,
+          token,
+          refreshToken
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Invalid code or two-factor not enabled
+ */
+router.post('/recovery-codes',
+  authenticate,
+  requireSession,
+  [
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const updates = req.user.mfaEnabled && checkSecondFactor(req.user, { code: req.body.code });
+      if (!updates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await req.user.update({ ...updates, mfaRecoveryCodes: hashes });
+
+      res.status(200).json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: { recoveryCodes: codes }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is mandatory for this account
+ */
+router.post('/disable',
+  authenticate,
+  requireSession,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (await isMfaRequired(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is mandatory for this account'
+        });
+      }
+
+      const isPasswordValid = await req.user.comparePassword(req.body.password);
+      const updates = isPasswordValid && req.user.mfaEnabled && checkSecondFactor(req.user, { code: req.body.code });
+
+      if (!updates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password or two-factor code'
+        });
+      }
+
+      await req.user.update({
+        mfaEnabled: false,
+        mfaSecret: null,
+        mfaRecoveryCodes: [],
+        mfaLastUsedStep: null
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { sequelize } = require('../../config/database');
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const Invitation = require('../../models/Invitation');
+const { issueTokens } = require('../../utils/refreshToken');
+const { recordLoginEvent } = require('../../utils/activity');
+const { generateOpaqueToken } = require('../../utils/tokens');
+const { isInviteOnly, findPendingInvitationForEmail } = require('../../utils/invitations');
+const { isLastAdmin } = require('../../utils/rbac');
+const { generateOidcLoginToken, verifyPurposeToken } = require('../../utils/jwt');
+const {
+  getOidcConfig,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapGroupsToRole
+} = require('../../utils/oidc');
+
+const router = express.Router();
+
+const LOGIN_COOKIE = 'oidc_login';
+const LOGIN_COOKIE_PATH = '/api/v1/auth/oidc';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3001';
+
+/**
+ * Read a cookie from the request without pulling in a cookie parser
+ * @param {Object} req - Express request
+ * @param {String} name - Cookie name
+ * @returns {String|null} Cookie value
+ */
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+/**
+ * Send the browser back to the login page with an error message
+ * @param {Object} res - Express response
+ * @param {String} message - Message shown on the login page
+ */
+const redirectWithError = (res, message) => {
+  res.redirect(`${frontendUrl()}/login?ssoError=${encodeURIComponent(message)}`);
+};
+
+/**
+ * Pick a free username based on the provider's preferred username or email
+ * @param {Object} claims - Verified ID token claims
+ * @returns {String} Username
+ */
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || (claims.email || '').split('@')[0] || 'user';
+  let base = source.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 40);
+  if (base.length < 3) {
+    base = `user_${base}`;
+  }
+
+  let username = base;
+  while (await User.findOne({ where: { username } })) {
+    username = `${base}_${generateOpaqueToken(3)}`;
+  }
+  return username;
+};
+
+/**
+ * Create the local account for a new SSO identity. With REGISTRATION_MODE=invite
+ * it needs a pending invitation for the email, which it accepts, and the
+ * account gets the invited role.
+ * @param {Object} claims - Verified ID token claims
+ * @param {String} email - Lower-cased verified email
+ * @returns {Object|null} New user, or null when no invitation allows it
+ */
+const createSsoUser = async (claims, email) => {
+  const config = getOidcConfig();
+  const invitation = isInviteOnly() ? await findPendingInvitationForEmail(email) : null;
+  if (isInviteOnly() && !invitation) {
+    return null;
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    if (invitation) {
+      // Conditional update keeps the invitation single-use under concurrent logins
+      const [accepted] = await Invitation.update(
+        { acceptedAt: new Date() },
+        { where: { id: invitation.id, acceptedAt: null, revokedAt: null }, transaction }
+      );
+      if (accepted === 0) {
+        return null;
+      }
+    }
+
+    const user = await User.create({
+      username: await generateUsername(claims),
+      email,
+      // Random password; the account can set a real one through password reset
+      password: generateOpaqueToken(32),
+      emailVerified: true,
+      oidcIssuer: config.issuer,
+      oidcSubject: claims.sub,
+      ...(invitation && { role: invitation.role })
+    }, { transaction });
+
+    if (invitation) {
+      await Invitation.update(
+        { acceptedById: user.id },
+        { where: { id: invitation.id }, transaction }
+      );
+    }
+    return user;
+  });
+};
+
+/**
+ * Find the local account for an SSO identity: by provider subject first, then
+ * by verified email (linking the subject), creating one when allowed.
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Object} { user } or { error } when the login must be refused, with
+ *   the user when the refusal is about a known account
+ */
+const resolveUser = async (claims) => {
+  const config = getOidcConfig();
+  const email = claims.email && claims.email.toLowerCase();
+
+  let user = await User.findOne({
+    where: { oidcIssuer: config.issuer, oidcSubject: claims.sub }
+  });
+
+  if (!user) {
+    if (!email || claims.email_verified !== true) {
+      return { error: 'Your identity provider did not return a verified email address.' };
+    }
+
+    user = await User.findOne({ where: { email } });
+
+    if (user && user.oidcSubject) {
+      return { error: 'This email address is already linked to a different single sign-on identity.' };
+    }
+
+    if (user) {
+      await user.update({ oidcIssuer: config.issuer, oidcSubject: claims.sub });
+    } else if (config.autoCreate) {
+      user = await createSsoUser(claims, email);
+      if (!user) {
+        return { error: 'Registration is by invitation only. Ask an administrator to invite this email address.' };
+      }
+    } else {
+      return { error: 'No account exists for this email address.' };
+    }
+  }
+
+  if (!user.isActive) {
+    return { user, error: 'Account is deactivated. Please contact support.' };
+  }
+
+  const updates = {};
+  const role = mapGroupsToRole(claims[config.groupsClaim]);
+  if (role && role !== user.role) {
+    if (!await Role.findOne({ where: { name: role } })) {
+      console.error(`OIDC_GROUP_ROLE_MAP refers to unknown role '${role}'`);
+    } else if (await isLastAdmin(user)) {
+      console.error(`OIDC_GROUP_ROLE_MAP would demote ${user.username}, the last active admin; keeping the role`);
+    } else {
+      updates.role = role;
+    }
+  }
+  if (!user.emailVerified && claims.email_verified === true && email === user.email) {
+    updates.emailVerified = true;
+  }
+  if (Object.keys(updates).length > 0) {
+    await user.update(updates);
+  }
+
+  return { user };
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/config:
+ *   get:
+ *     summary: Whether single sign-on is available
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       200:
+ *         description: Single sign-on settings for the login page
+ */
+router.get('/config', (req, res) => {
+  const config = getOidcConfig();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: config.enabled,
+      providerName: config.enabled ? config.providerName : null
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/login:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: Redirects the browser to the identity provider using the authorization code flow with PKCE.
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/login', async (req, res, next) => {
+  try {
+    if (!getOidcConfig().enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const request = createAuthorizationRequest();
+    const authorizationUrl = await buildAuthorizationUrl(request);
+
+    res.cookie(LOGIN_COOKIE, generateOidcLoginToken(request), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: LOGIN_COOKIE_PATH,
+      maxAge: 10 * 60 * 1000
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/callback:
+ *   get:
+ *     summary: Complete a single sign-on login
+ *     description: |
+ *       Exchanges the authorization code, verifies the ID token and signs the user in.
+ *       Redirects to the frontend with the access and refresh tokens in the URL fragment,
+ *       or to the login page with an ssoError message.
+ *     tags: [Single Sign-On]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get('/callback', async (req, res) => {
+  const cookie = readCookie(req, LOGIN_COOKIE);
+  res.clearCookie(LOGIN_COOKIE, { path: LOGIN_COOKIE_PATH });
+
+  if (!getOidcConfig().enabled) {
+    return redirectWithError(res, 'Single sign-on is not configured.');
+  }
+
+  if (req.query.error) {
+    return redirectWithError(res, req.query.error_description || 'Sign-in was cancelled at the identity provider.');
+  }
+
+  let pending;
+  try {
+    pending = verifyPurposeToken(cookie, 'oidc-login');
+  } catch (error) {
+    return redirectWithError(res, 'Your sign-in attempt expired. Please try again.');
+  }
+
+  if (!req.query.code || req.query.state !== pending.state) {
+    return redirectWithError(res, 'Invalid sign-in response. Please try again.');
+  }
+
+  try {
+    const tokenSet = await exchangeCode(req.query.code, pending.codeVerifier);
+    const claims = await verifyIdToken(tokenSet.id_token, pending.nonce);
+
+    const { user, error } = await resolveUser(claims);
+    if (error) {
+      if (user) {
+        await recordLoginEvent(user, req, { success: false, method: 'oidc', failureReason: 'inactive' });
+      }
+      return redirectWithError(res, error);
+    }
+
+    await recordLoginEvent(user, req, { success: true, method: 'oidc' });
+
+    const { token, refreshToken } = await issueTokens(user, req, { authMethod: 'oidc' });
+
+    // Fragments are not sent to servers, keeping tokens out of access logs
+    const fragment = new URLSearchParams({ token, refreshToken }).toString();
+    res.redirect(`${frontendUrl()}/oidc/callback#${fragment}`);
+  } catch (error) {
+    console.error('SSO login failed:', error.message);
+    redirectWithError(res, 'Single sign-on failed. Please try again.');
+  }
+});
+
+module.exports = router;
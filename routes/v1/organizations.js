@@ -0,0 +1,845 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { sequelize } = require('../../config/database');
+const Organization = require('../../models/Organization');
+const Membership = require('../../models/Membership');
+const Product = require('../../models/Product');
+const User = require('../../models/User');
+const {
+  ORGANIZATION_ROLES,
+  ensurePersonalOrganization,
+  findMembership,
+  isLastOwner,
+  purgeOrganizationProducts
+} = require('../../utils/organizations');
+const { sendMail } = require('../../utils/mailer');
+const { authenticate, requireScope } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// All organization routes require authentication
+router.use(authenticate);
+
+const nameValidator = body('name')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Organization name must be between 1 and 100 characters');
+
+const roleValidator = (chain) => chain
+  .isIn(ORGANIZATION_ROLES)
+  .withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+
+/**
+ * Load the organization named in the URL and the caller's membership in it.
+ * Organizations the caller does not belong to are reported as not found.
+ * @param {Object} req - Express request with params.id
+ * @returns {Object} { organization, membership }, both null if not a member
+ */
+const loadOrganization = async (req) => {
+  const organization = await Organization.findByPk(req.params.id);
+  const membership = organization && await findMembership(organization.id, req.user.id);
+  if (!membership) {
+    return { organization: null, membership: null };
+  }
+  return { organization, membership };
+};
+
+/**
+ * Find a pending invitation of the caller to the organization named in the URL
+ * @param {Object} req - Express request with params.id
+ * @returns {Object|null} Pending membership, with its organization
+ */
+const findInvitation = (req) => Membership.findOne({
+  where: { organizationId: req.params.id, userId: req.user.id, pending: true },
+  include: [{ model: Organization, as: 'organization' }]
+});
+
+/**
+ * Tell a user an owner has invited them to an organization.
+ * Mail failures are logged rather than failing the request.
+ * @param {Object} user - Invited user
+ * @param {Object} organization - Organization they are invited to
+ * @param {Object} inviter - Owner who invited them
+ */
+const sendMembershipInvitation = async (user, organization, inviter) => {
+  const organizationsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/organizations`;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `You have been invited to ${organization.name} on PrimeTrade`,
+      text: `Hi ${user.username},\n\n${inviter.username} has invited you to join ${organization.name}. Accept or decline the invitation on your organizations page.\n\n${organizationsUrl}\n\nIf you were not expecting this, you can decline it or ignore this email.`
+    });
+  } catch (mailError) {
+    console.error('Failed to send organization invitation email:', mailError);
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   get:
+ *     summary: List the organizations the current user belongs to
+ *     description: |
+ *       Includes the user's personal organization, which is created on first
+ *       use, and the invitations to join others that await an answer.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations with the caller's role in each, and pending invitations with the role offered
+ */
+router.get('/', requireScope('organizations:read'), async (req, res, next) => {
+  try {
+    await ensurePersonalOrganization(req.user);
+
+    const memberships = await Membership.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Organization, as: 'organization' }],
+      order: [[{ model: Organization, as: 'organization' }, 'name', 'ASC']]
+    });
+
+    const withRole = membership => ({ ...membership.organization.toJSON(), role: membership.role });
+
+    // Personal organization first, then teams by name
+    const organizations = memberships
+      .filter(membership => !membership.pending)
+      .map(withRole)
+      .sort((a, b) => Number(b.isPersonal) - Number(a.isPersonal));
+    const invitations = memberships
+      .filter(membership => membership.pending)
+      .map(withRole);
+
+    res.status(200).json({
+      success: true,
+      data: { organizations, invitations }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   post:
+ *     summary: Create a team organization
+ *     description: The creator becomes its first owner.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/',
+  requireScope('organizations:write'),
+  [nameValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const organization = await sequelize.transaction(async (transaction) => {
+        const created = await Organization.create({ name: req.body.name }, { transaction });
+        await Membership.create({
+          organizationId: created.id,
+          userId: req.user.id,
+          role: 'owner'
+        }, { transaction });
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Organization created successfully',
+        data: {
+          organization: { ...organization.toJSON(), role: 'owner' }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}:
+ *   get:
+ *     summary: Get an organization and its members
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Organization, the caller's role and the member list, including invitations not yet accepted (`pending`)
+ *       404:
+ *         description: Organization not found or the caller is not a member
+ */
+router.get('/:id',
+  requireScope('organizations:read'),
+  [param('id').isUUID().withMessage('Invalid organization id')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await loadOrganization(req);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      const members = await Membership.findAll({
+        where: { organizationId: organization.id },
+        include: [{ model: User, as: 'user', attributes: ['id', 'username', 'email'] }],
+        order: [['createdAt', 'ASC']]
+      });
+      const productCount = await Product.count({ where: { organizationId: organization.id } });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          organization: { ...organization.toJSON(), role: membership.role, productCount },
+          members
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}:
+ *   patch:
+ *     summary: Rename an organization (owners only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organization renamed
+ *       400:
+ *         description: Validation error or a personal organization
+ *       403:
+ *         description: Caller is not an owner
+ *       404:
+ *         description: Organization not found
+ */
+router.patch('/:id',
+  requireScope('organizations:write'),
+  [
+    param('id').isUUID().withMessage('Invalid organization id'),
+    nameValidator
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await loadOrganization(req);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+      if (membership.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Only owners can manage this organization.'
+        });
+      }
+      if (organization.isPersonal) {
+        return res.status(400).json({
+          success: false,
+          message: 'Personal organizations cannot be renamed'
+        });
+      }
+
+      await organization.update({ name: req.body.name });
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization updated successfully',
+        data: { organization }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}:
+ *   delete:
+ *     summary: Delete an organization (owners only)
+ *     description: The organization must not own any products. The stock history of products deleted from it goes with it.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Organization deleted
+ *       400:
+ *         description: Personal organizations cannot be deleted
+ *       403:
+ *         description: Caller is not an owner
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: The organization still owns products
+ */
+router.delete('/:id',
+  requireScope('organizations:write'),
+  [param('id').isUUID().withMessage('Invalid organization id')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await loadOrganization(req);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+      if (membership.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Only owners can manage this organization.'
+        });
+      }
+      if (organization.isPersonal) {
+        return res.status(400).json({
+          success: false,
+          message: 'Personal organizations cannot be deleted'
+        });
+      }
+
+      const productCount = await Product.count({ where: { organizationId: organization.id } });
+      if (productCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Organization still owns ${productCount} product(s). Delete them first.`,
+          data: { productCount }
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await purgeOrganizationProducts(organization.id, transaction);
+        await organization.destroy({ transaction });
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Organization deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/members:
+ *   post:
+ *     summary: Invite a user to an organization (owners only)
+ *     description: |
+ *       Creates a pending membership for the active account with that email
+ *       and emails the user, who joins only by accepting. The response is the
+ *       same whether or not such an account exists or already belongs to the
+ *       organization, so it does not reveal who has an account.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *                 default: viewer
+ *     responses:
+ *       202:
+ *         description: Invitation sent if the email belongs to an active account that is not yet a member
+ *       400:
+ *         description: Validation error or a personal organization
+ *       403:
+ *         description: Caller is not an owner
+ *       404:
+ *         description: Organization not found
+ */
+router.post('/:id/members',
+  requireScope('organizations:write'),
+  [
+    param('id').isUUID().withMessage('Invalid organization id'),
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    roleValidator(body('role').optional())
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await loadOrganization(req);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+      if (membership.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Only owners can manage this organization.'
+        });
+      }
+      if (organization.isPersonal) {
+        return res.status(400).json({
+          success: false,
+          message: 'Personal organizations cannot be shared. Create a team organization instead.'
+        });
+      }
+
+      // Unknown, inactive and existing members get the same answer, so the
+      // route cannot be used to find out which emails have accounts
+      const user = await User.findOne({ where: { email: req.body.email } });
+      if (user && user.isActive) {
+        const [, created] = await Membership.findOrCreate({
+          where: { organizationId: organization.id, userId: user.id },
+          defaults: { role: req.body.role || 'viewer', pending: true }
+        });
+        if (created) {
+          await sendMembershipInvitation(user, organization, req.user);
+        }
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'If that email belongs to an active account that is not yet a member, they have been invited. They join once they accept.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role (owners only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       403:
+ *         description: Caller is not an owner
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: The last owner cannot be demoted
+ */
+router.patch('/:id/members/:userId',
+  requireScope('organizations:write'),
+  [
+    param('id').isUUID().withMessage('Invalid organization id'),
+    param('userId').isUUID().withMessage('Invalid user id'),
+    roleValidator(body('role'))
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await loadOrganization(req);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+      if (membership.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Only owners can manage this organization.'
+        });
+      }
+
+      // Owners may also change the role a pending invitation offers
+      const member = await Membership.findOne({ where: { organizationId: organization.id, userId: req.params.userId } });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      if (req.body.role !== 'owner' && await isLastOwner(member)) {
+        return res.status(409).json({
+          success: false,
+          message: 'An organization needs at least one owner'
+        });
+      }
+
+      await member.update({ role: req.body.role });
+
+      res.status(200).json({
+        success: true,
+        message: 'Member role updated successfully',
+        data: { member }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, withdraw an invitation, or leave an organization
+ *     description: Owners can remove anyone and withdraw pending invitations; every member can remove themselves.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Caller is not an owner
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: The last owner cannot leave
+ */
+router.delete('/:id/members/:userId',
+  requireScope('organizations:write'),
+  [
+    param('id').isUUID().withMessage('Invalid organization id'),
+    param('userId').isUUID().withMessage('Invalid user id')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { organization, membership } = await loadOrganization(req);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      const leaving = req.params.userId === req.user.id;
+      if (!leaving && membership.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Only owners can manage this organization.'
+        });
+      }
+
+      const member = leaving
+        ? membership
+        : await Membership.findOne({ where: { organizationId: organization.id, userId: req.params.userId } });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      if (await isLastOwner(member)) {
+        return res.status(409).json({
+          success: false,
+          message: organization.isPersonal
+            ? 'You cannot leave your personal organization'
+            : 'An organization needs at least one owner. Make someone else an owner or delete the organization.'
+        });
+      }
+
+      await member.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: leaving
+          ? 'You left the organization'
+          : member.pending ? 'Invitation withdrawn' : 'Member removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/accept:
+ *   post:
+ *     summary: Accept an invitation to join an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Joined the organization with the role offered
+ *       404:
+ *         description: No pending invitation to this organization
+ */
+router.post('/:id/accept',
+  requireScope('organizations:write'),
+  [param('id').isUUID().withMessage('Invalid organization id')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await findInvitation(req);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      await invitation.update({ pending: false });
+
+      res.status(200).json({
+        success: true,
+        message: `You joined ${invitation.organization.name}`,
+        data: {
+          organization: { ...invitation.organization.toJSON(), role: invitation.role }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/organizations/{id}/decline:
+ *   post:
+ *     summary: Decline an invitation to join an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: No pending invitation to this organization
+ */
+router.post('/:id/decline',
+  requireScope('organizations:write'),
+  [param('id').isUUID().withMessage('Invalid organization id')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await findInvitation(req);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      await invitation.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation declined'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
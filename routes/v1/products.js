@@ -1,23 +1,102 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { sequelize } = require('../../config/database');
 const Product = require('../../models/Product');
-const { authenticate, authorizeAdmin, authorizeOwnerOrAdmin } = require('../../middleware/auth');
+const ProductVariant = require('../../models/ProductVariant');
+const { authenticate, requireScope, requirePermission } = require('../../middleware/auth');
+const { resolveOrganization, canEditInOrganization } = require('../../middleware/organization');
+const { recordAudit } = require('../../utils/audit');
+const { PRODUCT_ACTIONS } = require('../../utils/activity');
+const { SEARCH_MODES, buildFullTextSearch } = require('../../utils/productSearch');
+const { sortKey, decodeCursor, findPage } = require('../../utils/pagination');
+const { getDescendantIds, findCategories, resolveProductCategory } = require('../../utils/categories');
+const { MAX_STOCK, applyStockMovement, adjustStockTo } = require('../../utils/stockMovements');
+const { variantCountAttribute } = require('../../utils/variants');
 
 const router = express.Router();
 
 // All product routes require authentication
 router.use(authenticate);
 
+// Columns GET /products can sort on
+const PRODUCT_SORT_FIELDS = ['name', 'price', 'stock', 'category', 'createdAt', 'updatedAt'];
+
+// Cursor value types of the sortable columns (see utils/pagination.js)
+const PRODUCT_SORT_TYPES = {
+  name: 'string',
+  price: 'decimal',
+  stock: 'integer',
+  category: 'string',
+  createdAt: 'date',
+  updatedAt: 'date',
+  id: 'uuid'
+};
+
+// Most categories one request may filter on
+const MAX_CATEGORY_FILTERS = 20;
+
+// Rules shared by product creation and updates. categoryId replaces the
+// free-text category, which is still accepted as a category id, slug or name.
+const categoryValidators = () => [
+  body('categoryId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Category id must be a UUID or null'),
+  body('category')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Category must be at most 100 characters')
+];
+
+const productColumn = (field, direction) => sortKey(field, `"Product"."${field}"`, direction, { type: PRODUCT_SORT_TYPES[field] });
+
+/**
+ * Turn a sort parameter such as "-price,name" into sort keys
+ * @param {String} sort - Comma separated fields, "-" prefix for descending
+ * @returns {Array} Sort keys, with id as a tiebreaker
+ */
+const parseProductSort = (sort) => {
+  const keys = sort.split(',').map(entry => productColumn(entry.replace(/^-/, ''), entry.startsWith('-') ? 'DESC' : 'ASC'));
+  keys.push(productColumn('id', 'ASC'));
+  return keys;
+};
+
+/**
+ * Build an inclusive range condition from optional bounds
+ * @param {*} min - Lower bound, or undefined
+ * @param {*} max - Upper bound, or undefined
+ * @returns {Object|null} Sequelize condition, or null without bounds
+ */
+const rangeCondition = (min, max) => {
+  if (min === undefined && max === undefined) {
+    return null;
+  }
+  return {
+    ...(min !== undefined && { [Op.gte]: min }),
+    ...(max !== undefined && { [Op.lte]: max })
+  };
+};
+
 /**
  * @swagger
  * /api/v1/products:
  *   get:
  *     summary: Get all products (with pagination and filtering)
+ *     description: |
+ *       Lists the products of the active organization. A full-text search
+ *       matches name, category and description and orders results by
+ *       relevance; each product then carries searchRank, plus nameHighlight
+ *       and descriptionHighlight (matches wrapped in <mark>) when
+ *       highlight=true. Each product carries variantCount; for products
+ *       with variants, stock is the total of the variants' stock.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
  *       - in: query
  *         name: page
  *         schema:
@@ -29,23 +108,184 @@ router.use(authenticate);
  *           type: integer
  *           default: 10
  *       - in: query
+ *         name: cursor
+ *         description: nextCursor or prevCursor from a previous response; replaces page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         description: Include the exact total (default true with page, false with cursor)
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: category
+ *         description: |
+ *           Category id, slug or name; matches its subcategories too.
+ *           Repeat to match any of several categories.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: true
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minStock
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxStock
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updatedFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updatedTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         description: |
+ *           Comma separated fields, prefixed with "-" for descending order.
+ *           One of name, price, stock, category, createdAt, updatedAt.
+ *           Defaults to relevance for full-text searches, otherwise -createdAt.
  *         schema:
  *           type: string
  *       - in: query
  *         name: search
+ *         description: Web search syntax, e.g. wireless "noise cancelling" -refurbished
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: searchMode
+ *         description: fulltext (ranked) or substring (name contains the text)
  *         schema:
  *           type: string
+ *           enum: [fulltext, substring]
+ *           default: fulltext
+ *       - in: query
+ *         name: highlight
+ *         description: Add highlighted snippets to full-text results
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: Products retrieved successfully
+ *       400:
+ *         description: Validation error
  */
 router.get('/',
+  requireScope('products:read'),
+  requirePermission('products:read:own', 'products:read:any'),
+  resolveOrganization,
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('category').optional().trim(),
-    query('search').optional().trim()
+    query('cursor')
+      .optional()
+      .isString()
+      .custom((value, { req }) => req.query.page === undefined)
+      .withMessage('Use either page or cursor, not both'),
+    query('count')
+      .optional()
+      .isBoolean()
+      .withMessage('count must be true or false')
+      .toBoolean(),
+    query('category')
+      .optional()
+      .toArray()
+      .custom(values => values.length <= MAX_CATEGORY_FILTERS &&
+        values.every(value => typeof value === 'string' && value.trim().length <= 100))
+      .withMessage(`Category filter takes at most ${MAX_CATEGORY_FILTERS} ids, slugs or names of up to 100 characters`)
+      .customSanitizer(values => values
+        .filter(value => typeof value === 'string')
+        .map(value => value.trim())
+        .filter(Boolean)),
+    query('minPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('minPrice must be a non-negative number')
+      .toFloat(),
+    query('maxPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('maxPrice must be a non-negative number')
+      .toFloat()
+      .custom((value, { req }) => req.query.minPrice === undefined || value >= req.query.minPrice)
+      .withMessage('maxPrice must not be less than minPrice'),
+    query('minStock')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('minStock must be a non-negative integer')
+      .toInt(),
+    query('maxStock')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('maxStock must be a non-negative integer')
+      .toInt()
+      .custom((value, { req }) => req.query.minStock === undefined || value >= req.query.minStock)
+      .withMessage('maxStock must not be less than minStock'),
+    query('createdFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('createdFrom must be an ISO 8601 date')
+      .toDate(),
+    query('createdTo')
+      .optional()
+      .isISO8601()
+      .withMessage('createdTo must be an ISO 8601 date')
+      .toDate()
+      .custom((value, { req }) => !(req.query.createdFrom instanceof Date) || value >= req.query.createdFrom)
+      .withMessage('createdTo must not be before createdFrom'),
+    query('updatedFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('updatedFrom must be an ISO 8601 date')
+      .toDate(),
+    query('updatedTo')
+      .optional()
+      .isISO8601()
+      .withMessage('updatedTo must be an ISO 8601 date')
+      .toDate()
+      .custom((value, { req }) => !(req.query.updatedFrom instanceof Date) || value >= req.query.updatedFrom)
+      .withMessage('updatedTo must not be before updatedFrom'),
+    query('sort')
+      .optional()
+      .isString()
+      .custom(value => value.split(',').every(entry => PRODUCT_SORT_FIELDS.includes(entry.replace(/^-/, ''))))
+      .withMessage(`Sort must be a comma separated list of ${PRODUCT_SORT_FIELDS.join(', ')}, optionally prefixed with -`),
+    query('search').optional().trim(),
+    query('searchMode')
+      .optional()
+      .isIn(SEARCH_MODES)
+      .withMessage(`Search mode must be one of ${SEARCH_MODES.join(', ')}`),
+    query('highlight')
+      .optional()
+      .isBoolean()
+      .withMessage('highlight must be true or false')
+      .toBoolean()
   ],
   async (req, res, next) => {
     try {
@@ -60,28 +300,66 @@ router.get('/',
 
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      const { category, search } = req.query;
+      const { category, search, searchMode = 'fulltext', highlight, sort } = req.query;
 
       // Build where clause
-      const where = {};
-      if (category) {
-        where.category = category;
+      const where = { organizationId: req.organization.id };
+      const attributes = [variantCountAttribute];
+      let keys = parseProductSort(sort || '-createdAt');
+      if (category && category.length > 0) {
+        const { categories, unknown } = await findCategories(category);
+        if (unknown.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown category: ${unknown.join(', ')}`
+          });
+        }
+        where.categoryId = { [Op.in]: await getDescendantIds(categories.map(match => match.id)) };
       }
-      if (search) {
+
+      const ranges = {
+        price: rangeCondition(req.query.minPrice, req.query.maxPrice),
+        stock: rangeCondition(req.query.minStock, req.query.maxStock),
+        createdAt: rangeCondition(req.query.createdFrom, req.query.createdTo),
+        updatedAt: rangeCondition(req.query.updatedFrom, req.query.updatedTo)
+      };
+      Object.entries(ranges).forEach(([field, condition]) => {
+        if (condition) {
+          where[field] = condition;
+        }
+      });
+
+      if (search && searchMode === 'substring') {
         where.name = { [Op.iLike]: `%${search}%` };
+      } else if (search) {
+        const fullText = buildFullTextSearch(search, highlight);
+        where[Op.and] = [fullText.where];
+        attributes.push(...fullText.attributes);
+        // Relevance first unless the caller chose an order
+        if (!sort) {
+          keys = [fullText.rankKey, ...keys];
+        }
       }
 
-      // If user is not admin, only show their own products
-      if (req.user.role !== 'admin') {
-        where.userId = req.user.id;
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor, keys);
+        if (!cursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor, or the cursor was issued for a different sort order'
+          });
+        }
       }
 
-      const { count, rows: products } = await Product.findAndCountAll({
-        where,
+      const { rows: products, pagination } = await findPage(Product, {
+        keys,
         limit,
-        offset,
-        order: [['createdAt', 'DESC']],
+        page,
+        cursor,
+        withCount: req.query.count ?? !cursor,
+        where,
+        attributes: { include: attributes },
         include: [{
           model: require('../../models/User'),
           as: 'owner',
@@ -93,12 +371,7 @@ router.get('/',
         success: true,
         data: {
           products,
-          pagination: {
-            page,
-            limit,
-            total: count,
-            pages: Math.ceil(count / limit)
-          }
+          pagination
         }
       });
     } catch (error) {
@@ -112,10 +385,12 @@ router.get('/',
  * /api/v1/products/{id}:
  *   get:
  *     summary: Get a single product by ID
+ *     description: Includes the product's variants.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -128,48 +403,56 @@ router.get('/',
  *       404:
  *         description: Product not found
  */
-router.get('/:id', async (req, res, next) => {
-  try {
-    const product = await Product.findByPk(req.params.id, {
-      include: [{
-        model: require('../../models/User'),
-        as: 'owner',
-        attributes: ['id', 'username', 'email']
-      }]
-    });
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
+router.get('/:id',
+  requireScope('products:read'),
+  requirePermission('products:read:own', 'products:read:any'),
+  resolveOrganization,
+  async (req, res, next) => {
+    try {
+      const product = await Product.findOne({
+        where: { id: req.params.id, organizationId: req.organization.id },
+        attributes: { include: [variantCountAttribute] },
+        include: [{
+          model: require('../../models/User'),
+          as: 'owner',
+          attributes: ['id', 'username', 'email']
+        }, {
+          model: ProductVariant,
+          as: 'variants'
+        }],
+        order: [[{ model: ProductVariant, as: 'variants' }, 'createdAt', 'ASC']]
       });
-    }
 
-    // Check if user owns the product or is admin
-    if (req.user.role !== 'admin' && product.userId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only view your own products.'
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { product }
       });
+    } catch (error) {
+      next(error);
     }
-
-    res.status(200).json({
-      success: true,
-      data: { product }
-    });
-  } catch (error) {
-    next(error);
   }
-});
+);
 
 /**
  * @swagger
  * /api/v1/products:
  *   post:
  *     summary: Create a new product
+ *     description: |
+ *       Initial stock is recorded as a receipt in the stock movement ledger.
+ *       Requires the owner or editor role in the active organization.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -188,13 +471,24 @@ router.get('/:id', async (req, res, next) => {
  *                 type: number
  *               stock:
  *                 type: integer
+ *               categoryId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
  *               category:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Category id, slug or name; use categoryId instead
  *     responses:
  *       201:
  *         description: Product created successfully
+ *       403:
+ *         description: Viewers cannot change products
  */
 router.post('/',
+  requireScope('products:write'),
+  requirePermission('products:create'),
+  resolveOrganization,
   [
     body('name')
       .trim()
@@ -206,9 +500,10 @@ router.post('/',
       .withMessage('Price must be a positive number'),
     body('stock')
       .optional()
-      .isInt({ min: 0 })
-      .withMessage('Stock must be a non-negative integer'),
-    body('category').optional().trim().isLength({ max: 100 })
+      .isInt({ min: 0, max: MAX_STOCK })
+      .withMessage(`Stock must be a non-negative integer of at most ${MAX_STOCK}`)
+      .toInt(),
+    ...categoryValidators()
   ],
   async (req, res, next) => {
     try {
@@ -221,12 +516,44 @@ router.post('/',
         });
       }
 
+      if (!canEditInOrganization(req, 'products:update:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Viewers cannot add products to this organization.'
+        });
+      }
+
+      const categoryFields = await resolveProductCategory(req.body);
+      if (categoryFields.error) {
+        return res.status(400).json({
+          success: false,
+          message: categoryFields.error
+        });
+      }
+
       const productData = {
         ...req.body,
-        userId: req.user.id
+        ...categoryFields,
+        stock: 0,
+        userId: req.user.id,
+        organizationId: req.organization.id
       };
 
-      const product = await Product.create(productData);
+      const product = await sequelize.transaction(async (transaction) => {
+        const created = await Product.create(productData, { transaction });
+        if (req.body.stock) {
+          await applyStockMovement(created, {
+            type: 'receipt',
+            quantity: req.body.stock,
+            reason: 'Initial stock',
+            userId: req.user.id
+          }, transaction);
+        }
+        return created;
+      });
+      await recordAudit(PRODUCT_ACTIONS.create, req, {
+        metadata: { productId: product.id, organizationId: product.organizationId }
+      });
 
       res.status(201).json({
         success: true,
@@ -244,10 +571,15 @@ router.post('/',
  * /api/v1/products/{id}:
  *   put:
  *     summary: Update a product
+ *     description: |
+ *       A new `stock` is recorded as an adjustment in the stock movement
+ *       ledger; prefer POST /api/v1/products/{id}/stock-movements, which
+ *       says why stock changed.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -269,15 +601,28 @@ router.post('/',
  *                 type: number
  *               stock:
  *                 type: integer
+ *               categoryId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
  *               category:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Category id, slug or name; use categoryId instead
  *     responses:
  *       200:
  *         description: Product updated successfully
+ *       400:
+ *         description: Validation error, or stock given for a product with variants
+ *       403:
+ *         description: Viewers cannot change products
  *       404:
  *         description: Product not found
  */
 router.put('/:id',
+  requireScope('products:write'),
+  requirePermission('products:update:own', 'products:update:any'),
+  resolveOrganization,
   [
     body('name')
       .optional()
@@ -291,9 +636,10 @@ router.put('/:id',
       .withMessage('Price must be a positive number'),
     body('stock')
       .optional()
-      .isInt({ min: 0 })
-      .withMessage('Stock must be a non-negative integer'),
-    body('category').optional().trim().isLength({ max: 100 })
+      .isInt({ min: 0, max: MAX_STOCK })
+      .withMessage(`Stock must be a non-negative integer of at most ${MAX_STOCK}`)
+      .toInt(),
+    ...categoryValidators()
   ],
   async (req, res, next) => {
     try {
@@ -306,7 +652,9 @@ router.put('/:id',
         });
       }
 
-      const product = await Product.findByPk(req.params.id);
+      const product = await Product.findOne({
+        where: { id: req.params.id, organizationId: req.organization.id }
+      });
 
       if (!product) {
         return res.status(404).json({
@@ -315,16 +663,54 @@ router.put('/:id',
         });
       }
 
-      // Check if user owns the product or is admin
-      if (req.user.role !== 'admin' && product.userId !== req.user.id) {
+      // Owners and editors change their organization's products
+      if (!canEditInOrganization(req, 'products:update:any')) {
         return res.status(403).json({
           success: false,
-          message: 'Access denied. You can only update your own products.'
+          message: 'Access denied. Viewers cannot update products in this organization.'
+        });
+      }
+
+      const categoryFields = await resolveProductCategory(req.body);
+      if (categoryFields.error) {
+        return res.status(400).json({
+          success: false,
+          message: categoryFields.error
+        });
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        await product.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+        if (req.body.stock !== undefined) {
+          if (await ProductVariant.count({ where: { productId: product.id }, transaction }) > 0) {
+            return { status: 400, message: 'This product has variants; its stock is their total. Change the stock of the variants instead.' };
+          }
+          await adjustStockTo(product, req.body.stock, {
+            reason: 'Stock set by product update',
+            userId: req.user.id
+          }, transaction);
+        }
+
+        // Creator and organization are fixed once the product exists
+        await product.update({ ...req.body, ...categoryFields }, {
+          fields: ['name', 'description', 'price', 'categoryId', 'category'],
+          transaction
+        });
+        return {};
+      });
+
+      if (result.status) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
         });
       }
 
-      await product.update(req.body);
       await product.reload();
+      await recordAudit(PRODUCT_ACTIONS.update, req, {
+        metadata: { productId: product.id, organizationId: product.organizationId }
+      });
 
       res.status(200).json({
         success: true,
@@ -346,6 +732,7 @@ router.put('/:id',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -355,38 +742,49 @@ router.put('/:id',
  *     responses:
  *       200:
  *         description: Product deleted successfully
+ *       403:
+ *         description: Viewers cannot change products
  *       404:
  *         description: Product not found
  */
-router.delete('/:id', async (req, res, next) => {
-  try {
-    const product = await Product.findByPk(req.params.id);
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
+router.delete('/:id',
+  requireScope('products:write'),
+  requirePermission('products:delete:own', 'products:delete:any'),
+  resolveOrganization,
+  async (req, res, next) => {
+    try {
+      const product = await Product.findOne({
+        where: { id: req.params.id, organizationId: req.organization.id }
       });
-    }
 
-    // Check if user owns the product or is admin
-    if (req.user.role !== 'admin' && product.userId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only delete your own products.'
-      });
-    }
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
 
-    await product.destroy();
+      if (!canEditInOrganization(req, 'products:delete:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Viewers cannot delete products in this organization.'
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      message: 'Product deleted successfully'
-    });
-  } catch (error) {
-    next(error);
+      await product.destroy();
+      await recordAudit(PRODUCT_ACTIONS.delete, req, {
+        metadata: { productId: product.id, organizationId: product.organizationId }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Product deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 module.exports = router;
 
@@ -0,0 +1,398 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const Role = require('../../models/Role');
+const Permission = require('../../models/Permission');
+const User = require('../../models/User');
+const Invitation = require('../../models/Invitation');
+const { ADMIN_ROLE, PERMISSIONS } = require('../../utils/rbac');
+const { authenticate, requireSession, requirePermission } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// Role management changes what every member can do, so it needs an interactive admin session
+router.use(authenticate, requireSession, requirePermission('roles:manage'));
+
+const includePermissions = {
+  model: Permission,
+  as: 'permissions',
+  attributes: ['id', 'key', 'description'],
+  through: { attributes: [] }
+};
+
+// Rules shared by role creation and updates
+const roleNameValidator = () => body('name')
+  .trim()
+  .isLength({ min: 2, max: 50 })
+  .withMessage('Role name must be between 2 and 50 characters')
+  .matches(/^[a-z][a-z0-9_]*$/)
+  .withMessage('Role name must start with a letter and contain only lowercase letters, numbers, and underscores');
+
+const permissionsValidator = () => [
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+];
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: List roles with their permissions and member counts
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Missing the roles:manage permission
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const roles = await Role.findAll({
+      include: [includePermissions],
+      order: [['name', 'ASC']]
+    });
+
+    const counts = await User.count({ group: ['role'] });
+    const memberCounts = Object.fromEntries(counts.map(({ role, count }) => [role, count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toJSON(),
+          userCount: memberCounts[role.name] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     summary: List every permission that can be granted
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', async (req, res, next) => {
+  try {
+    const permissions = await Permission.findAll({
+      attributes: ['id', 'key', 'description'],
+      order: [['key', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { permissions }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: inventory_clerk
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: products:read:any
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Role name already in use
+ */
+router.post('/',
+  [
+    roleNameValidator(),
+    body('description').optional().trim().isLength({ max: 255 }),
+    ...permissionsValidator()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      if (await Role.findOne({ where: { name } })) {
+        return res.status(409).json({
+          success: false,
+          message: 'A role with this name already exists'
+        });
+      }
+
+      const role = await sequelize.transaction(async (transaction) => {
+        const created = await Role.create({ name, description }, { transaction });
+        const granted = await Permission.findAll({ where: { key: permissions }, transaction });
+        await created.setPermissions(granted, { transaction });
+        return created;
+      });
+
+      await role.reload({ include: [includePermissions] });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/roles/{id}:
+ *   patch:
+ *     summary: Update a role's name, description or permissions
+ *     description: Built-in roles cannot be renamed, and the admin role always keeps every permission.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or built-in role restriction
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role name already in use
+ */
+router.patch('/:id',
+  [
+    param('id').isUUID().withMessage('Invalid role id'),
+    roleNameValidator().optional(),
+    body('description').optional().trim().isLength({ max: 255 }),
+    ...permissionsValidator().map(validator => validator.optional())
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const role = await Role.findByPk(req.params.id);
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      if (name !== undefined && name !== role.name) {
+        if (role.isSystem) {
+          return res.status(400).json({
+            success: false,
+            message: 'Built-in roles cannot be renamed'
+          });
+        }
+        if (await Role.findOne({ where: { name } })) {
+          return res.status(409).json({
+            success: false,
+            message: 'A role with this name already exists'
+          });
+        }
+      }
+
+      if (permissions !== undefined && role.name === ADMIN_ROLE) {
+        return res.status(400).json({
+          success: false,
+          message: 'The admin role always has every permission'
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        // Invitations keep a plain copy of the role name
+        if (name !== undefined && name !== role.name) {
+          await Invitation.update({ role: name }, { where: { role: role.name }, transaction });
+        }
+
+        // Renames cascade to users.role through the foreign key
+        await role.update({
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && { description })
+        }, { transaction });
+
+        if (permissions !== undefined) {
+          const granted = await Permission.findAll({ where: { key: permissions }, transaction });
+          await role.setPermissions(granted, { transaction });
+        }
+      });
+
+      await role.reload({ include: [includePermissions] });
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: { role }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/roles/{id}:
+ *   delete:
+ *     summary: Delete a role that has no members
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users or offered by pending invitations
+ */
+router.delete('/:id',
+  [
+    param('id').isUUID().withMessage('Invalid role id')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const role = await Role.findByPk(req.params.id);
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      const members = await User.count({ where: { role: role.name } });
+      if (members > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is still assigned to ${members} user(s). Reassign them first.`
+        });
+      }
+
+      const invitations = await Invitation.count({
+        where: { role: role.name, acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }
+      });
+      if (invitations > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is still offered by ${invitations} pending invitation(s). Revoke them first.`
+        });
+      }
+
+      await role.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,326 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { sequelize } = require('../../config/database');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const StockMovement = require('../../models/StockMovement');
+const User = require('../../models/User');
+const { authenticate, requireScope, requirePermission } = require('../../middleware/auth');
+const { resolveOrganization, canEditInOrganization } = require('../../middleware/organization');
+const { recordAudit } = require('../../utils/audit');
+const { PRODUCT_ACTIONS } = require('../../utils/activity');
+const {
+  STOCK_MOVEMENT_TYPES,
+  MAX_MOVEMENT_QUANTITY,
+  signedQuantity,
+  applyStockMovement,
+  reconcileStock
+} = require('../../utils/stockMovements');
+
+// Mounted under /api/v1/products/:productId/stock-movements
+const router = express.Router({ mergeParams: true });
+
+// All stock movement routes require authentication
+router.use(authenticate);
+
+const productIdValidator = param('productId').isUUID().withMessage('Invalid product id');
+
+/**
+ * Load the product named in the URL from the active organization
+ * @param {Object} req - Request that went through resolveOrganization
+ * @param {Object} options - Extra findOne options, e.g. transaction and lock
+ * @returns {Object|null} Product record
+ */
+const findProduct = (req, options = {}) => Product.findOne({
+  where: { id: req.params.productId, organizationId: req.organization.id },
+  ...options
+});
+
+/**
+ * @swagger
+ * /api/v1/products/{productId}/stock-movements:
+ *   get:
+ *     summary: List a product's stock movements, newest first
+ *     description: |
+ *       Also reconciles the product's current stock, and that of each
+ *       variant, against the sum of all movements recorded for it.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [receipt, sale, adjustment, return]
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Movements and reconciliation retrieved successfully
+ *       404:
+ *         description: Product not found
+ */
+router.get('/',
+  requireScope('products:read'),
+  requirePermission('products:read:own', 'products:read:any'),
+  resolveOrganization,
+  [
+    productIdValidator,
+    query('type').optional().isIn(STOCK_MOVEMENT_TYPES).withMessage(`Type must be one of ${STOCK_MOVEMENT_TYPES.join(', ')}`),
+    query('variantId').optional().isUUID().withMessage('Variant id must be a UUID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const product = await findProduct(req);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const where = { productId: product.id };
+      if (req.query.type) {
+        where.type = req.query.type;
+      }
+      if (req.query.variantId) {
+        where.variantId = req.query.variantId;
+      }
+
+      const [{ count, rows: movements }, reconciliation] = await Promise.all([
+        StockMovement.findAndCountAll({
+          where,
+          limit,
+          offset,
+          order: [['createdAt', 'DESC'], ['id', 'DESC']],
+          include: [
+            { model: User, as: 'user', attributes: ['id', 'username'] },
+            // Movements of deleted variants still show which one moved
+            { model: ProductVariant, as: 'variant', attributes: ['id', 'sku'], paranoid: false }
+          ]
+        }),
+        reconcileStock(product)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          movements,
+          reconciliation,
+          pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{productId}/stock-movements:
+ *   post:
+ *     summary: Record a stock movement
+ *     description: |
+ *       Changes the stock of the product, or of one of its variants, and
+ *       appends the movement to the ledger. Receipts and returns add
+ *       `quantity`, sales remove it, and adjustments add a signed quantity
+ *       and need a reason. Products with variants need the `variantId` the
+ *       movement applies to. Requires the owner or editor role in the active
+ *       organization.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [receipt, sale, adjustment, return]
+ *               quantity:
+ *                 type: integer
+ *                 minimum: -1000000
+ *                 maximum: 1000000
+ *                 description: Positive, except for adjustments, which may be negative but not zero
+ *               variantId:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Movement recorded, with the product's new stock
+ *       400:
+ *         description: Validation error, or no variant given for a product with variants
+ *       403:
+ *         description: Viewers cannot change products
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Not enough stock, or the stock would exceed 2147483647
+ */
+router.post('/',
+  requireScope('products:write'),
+  requirePermission('products:update:own', 'products:update:any'),
+  resolveOrganization,
+  [
+    productIdValidator,
+    body('type')
+      .isIn(STOCK_MOVEMENT_TYPES)
+      .withMessage(`Type must be one of ${STOCK_MOVEMENT_TYPES.join(', ')}`),
+    body('quantity')
+      .isInt({ min: -MAX_MOVEMENT_QUANTITY, max: MAX_MOVEMENT_QUANTITY })
+      .withMessage(`Quantity must be an integer between -${MAX_MOVEMENT_QUANTITY} and ${MAX_MOVEMENT_QUANTITY}`)
+      .toInt()
+      .custom((quantity, { req }) => (req.body.type === 'adjustment' ? quantity !== 0 : quantity > 0))
+      .withMessage('Quantity must be a positive integer, or a non-zero integer for adjustments'),
+    body('variantId')
+      .optional({ values: 'null' })
+      .isUUID()
+      .withMessage('Variant id must be a UUID'),
+    body('reason')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters'),
+    body('reason')
+      .if(body('type').equals('adjustment'))
+      .notEmpty()
+      .withMessage('Adjustments need a reason')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!canEditInOrganization(req, 'products:update:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Viewers cannot update products in this organization.'
+        });
+      }
+
+      const { type, quantity, variantId, reason } = req.body;
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const product = await findProduct(req, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!product) {
+          return { status: 404, message: 'Product not found' };
+        }
+
+        let variant = null;
+        if (variantId) {
+          variant = await ProductVariant.findOne({ where: { id: variantId, productId: product.id }, transaction });
+          if (!variant) {
+            return { status: 404, message: 'Variant not found' };
+          }
+        } else if (await ProductVariant.count({ where: { productId: product.id }, transaction }) > 0) {
+          return { status: 400, message: 'This product has variants; give the variantId whose stock moved' };
+        }
+
+        const applied = await applyStockMovement(product, {
+          variant,
+          type,
+          quantity: signedQuantity(type, quantity),
+          reason: reason || null,
+          userId: req.user.id
+        }, transaction);
+        if (applied.error) {
+          return { status: 409, message: applied.error };
+        }
+        return { product, movement: applied.movement };
+      });
+
+      if (result.status) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      await recordAudit(PRODUCT_ACTIONS.update, req, {
+        metadata: {
+          productId: result.product.id,
+          organizationId: result.product.organizationId,
+          stockMovementId: result.movement.id
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock movement recorded successfully',
+        data: {
+          movement: result.movement,
+          stock: result.product.stock
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const ApiToken = require('../../models/ApiToken');
+const { API_TOKEN_SCOPES, generateApiToken } = require('../../utils/apiToken');
+const { hashToken } = require('../../utils/tokens');
+const { authenticate, requireSession } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// Tokens are managed from an interactive session only; a token cannot mint more tokens
+router.use(authenticate, requireSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [products:read, products:write, users:read, users:write, organizations:read, organizations:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 30
+ *     responses:
+ *       201:
+ *         description: Token created; the raw token is only returned once
+ *       400:
+ *         description: Validation error
+ */
+router.post('/',
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Token name must be between 1 and 100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(API_TOKEN_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_TOKEN_SCOPES.join(', ')}`),
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Expiry must be between 1 and 365 days')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const expiresInDays = parseInt(req.body.expiresInDays) || 30;
+      const token = generateApiToken();
+
+      const apiToken = await ApiToken.create({
+        userId: req.user.id,
+        name: req.body.name,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, 12),
+        scopes: [...new Set(req.body.scopes)],
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API token created successfully. Copy it now, it will not be shown again.',
+        data: {
+          apiToken,
+          token
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens:
+ *   get:
+ *     summary: List the current user's personal access tokens
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens retrieved successfully
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const apiTokens = await ApiToken.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiTokens,
+        availableScopes: API_TOKEN_SCOPES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/:id',
+  [
+    param('id').isUUID().withMessage('Invalid token ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const apiToken = await ApiToken.findOne({
+        where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+      });
+
+      if (!apiToken) {
+        return res.status(404).json({
+          success: false,
+          message: 'API token not found'
+        });
+      }
+
+      await apiToken.update({ revokedAt: new Date() });
+
+      res.status(200).json({
+        success: true,
+        message: 'API token revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
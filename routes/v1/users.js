@@ -1,18 +1,87 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
 const User = require('../../models/User');
 const Product = require('../../models/Product');
-const { authenticate, authorizeAdmin } = require('../../middleware/auth');
+const Organization = require('../../models/Organization');
+const Membership = require('../../models/Membership');
+const LoginThrottle = require('../../models/LoginThrottle');
+const Session = require('../../models/Session');
+const Role = require('../../models/Role');
+const Impersonation = require('../../models/Impersonation');
+const AuditLog = require('../../models/AuditLog');
+const LoginEvent = require('../../models/LoginEvent');
+const { sequelize } = require('../../config/database');
+const { revokeUserSessions } = require('../../utils/refreshToken');
+const { recordAudit } = require('../../utils/audit');
+const { ensurePersonalOrganization, findSoleOwnedTeams, purgeOrganizationProducts } = require('../../utils/organizations');
+const { ACTIVITY_INTERVALS, getActivitySeries } = require('../../utils/activity');
+const { sharedSkus } = require('../../utils/variants');
+const { sortKey, decodeCursor, findPage } = require('../../utils/pagination');
+const { DATA_REQUEST_ACTIONS, buildDataExport, eraseUser, logDataRequest, sendDataExport } = require('../../utils/privacy');
+const { ADMIN_ROLE, isLastAdmin, getRolePermissions } = require('../../utils/rbac');
+const { IMPERSONATION_TTL_MINUTES, startImpersonation } = require('../../utils/impersonation');
+const { authenticate, requireScope, requireSession, requirePermission } = require('../../middleware/auth');
 
 const router = express.Router();
 
 // All user routes require authentication
 router.use(authenticate);
 
+// Columns GET /users can sort on; productCount is computed per row
+const USER_SORT_FIELDS = ['username', 'email', 'role', 'isActive', 'emailVerified', 'mfaEnabled', 'lastLoginAt', 'createdAt', 'updatedAt', 'productCount'];
+
+// Cursor value types of the sortable columns (see utils/pagination.js)
+const USER_SORT_TYPES = {
+  username: 'string',
+  email: 'string',
+  role: 'string',
+  isActive: 'boolean',
+  emailVerified: 'boolean',
+  mfaEnabled: 'boolean',
+  lastLoginAt: 'date',
+  createdAt: 'date',
+  updatedAt: 'date'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range GET /users/:id/activity covers by default, and the most it may span
+const ACTIVITY_DEFAULT_DAYS = 30;
+const ACTIVITY_MAX_DAYS = 731;
+
+const PRODUCT_COUNT_SQL = '(SELECT COUNT(*)::int FROM "products" WHERE "products"."userId" = "User"."id" AND "products"."deletedAt" IS NULL)';
+
+const productCountAttribute = [sequelize.literal(PRODUCT_COUNT_SQL), 'productCount'];
+
+/**
+ * Turn a sort parameter such as "-createdAt,username" into sort keys
+ * @param {String} sort - Comma separated fields, "-" prefix for descending
+ * @returns {Array} Sort keys, with id as a tiebreaker
+ */
+const parseUserSort = (sort) => {
+  const keys = sort.split(',').map(entry => {
+    const field = entry.replace(/^-/, '');
+    const direction = entry.startsWith('-') ? 'DESC' : 'ASC';
+    if (field === 'productCount') {
+      return sortKey(field, PRODUCT_COUNT_SQL, direction, { type: 'integer' });
+    }
+    // Users who never logged in go last either way
+    return sortKey(field, `"User"."${field}"`, direction, {
+      type: USER_SORT_TYPES[field],
+      ...(field === 'lastLoginAt' && { nullsLast: true })
+    });
+  });
+  keys.push(sortKey('id', '"User"."id"', 'ASC', { type: 'uuid' }));
+  return keys;
+};
+
 /**
  * @swagger
  * /api/v1/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users:read)
+ *     description: Search, filter and sort users. Each user includes the number of products they own.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -27,37 +96,517 @@ router.use(authenticate);
  *         schema:
  *           type: integer
  *           default: 10
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor or prevCursor from a previous response; replaces page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         description: Include the exact total (default true with page, false with cursor)
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         description: Matches part of the username or email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: createdFrom
+ *         description: Only users created at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         description: Only users created at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         description: |
+ *           Comma separated fields, prefixed with "-" for descending order.
+ *           One of username, email, role, isActive, emailVerified, mfaEnabled,
+ *           lastLoginAt, createdAt, updatedAt, productCount.
+ *         schema:
+ *           type: string
+ *           default: -createdAt
  *     responses:
  *       200:
  *         description: Users retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing the users:read permission
+ */
+router.get('/',
+  requireScope('users:read'),
+  requirePermission('users:read'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isString()
+      .custom((value, { req }) => req.query.page === undefined)
+      .withMessage('Use either page or cursor, not both'),
+    query('count')
+      .optional()
+      .isBoolean()
+      .withMessage('count must be true or false')
+      .toBoolean(),
+    query('search')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search must be at most 100 characters'),
+    query('role')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Role must be a non-empty string'),
+    query('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean(),
+    query('createdFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('createdFrom must be an ISO 8601 date')
+      .toDate(),
+    query('createdTo')
+      .optional()
+      .isISO8601()
+      .withMessage('createdTo must be an ISO 8601 date')
+      .toDate()
+      .custom((value, { req }) => !(req.query.createdFrom instanceof Date) || value >= req.query.createdFrom)
+      .withMessage('createdTo must not be before createdFrom'),
+    query('sort')
+      .optional()
+      .isString()
+      .custom(value => value.split(',').every(entry => USER_SORT_FIELDS.includes(entry.replace(/^-/, ''))))
+      .withMessage(`Sort must be a comma separated list of ${USER_SORT_FIELDS.join(', ')}, optionally prefixed with -`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { search, role, isActive, createdFrom, createdTo } = req.query;
+
+      const where = {};
+      if (search) {
+        where[Op.or] = [
+          { username: { [Op.iLike]: `%${search}%` } },
+          { email: { [Op.iLike]: `%${search}%` } }
+        ];
+      }
+      if (role) {
+        where.role = role;
+      }
+      if (isActive !== undefined) {
+        where.isActive = isActive;
+      }
+      if (createdFrom || createdTo) {
+        where.createdAt = {
+          ...(createdFrom && { [Op.gte]: createdFrom }),
+          ...(createdTo && { [Op.lte]: createdTo })
+        };
+      }
+
+      const keys = parseUserSort(req.query.sort || '-createdAt');
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor, keys);
+        if (!cursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor, or the cursor was issued for a different sort order'
+          });
+        }
+      }
+
+      const { rows: users, pagination } = await findPage(User, {
+        keys,
+        limit,
+        page,
+        cursor,
+        withCount: req.query.count ?? !cursor,
+        where,
+        attributes: {
+          exclude: ['password'],
+          include: [productCountAttribute]
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          users,
+          pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/lockouts:
+ *   get:
+ *     summary: List login throttles and lockouts (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         description: Only return entries that currently block logins
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Lockouts retrieved successfully
+ *       403:
+ *         description: Missing the users:read permission
+ */
+router.get('/lockouts',
+  requireScope('users:read'),
+  requirePermission('users:read'),
+  [
+    query('active').optional().isBoolean().withMessage('Active must be true or false')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = {};
+      if (req.query.active !== 'false') {
+        const now = new Date();
+        where[Op.or] = [
+          { lockedUntil: { [Op.gt]: now } },
+          { nextAttemptAt: { [Op.gt]: now } }
+        ];
+      }
+
+      const lockouts = await LoginThrottle.findAll({
+        where,
+        order: [['lastFailedAt', 'DESC']],
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'email']
+        }]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { lockouts }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/impersonations:
+ *   get:
+ *     summary: List impersonations with the requests made under them (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Only impersonations started by or targeting this user
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Impersonations retrieved successfully
+ *       403:
+ *         description: Missing the users:read permission
+ */
+router.get('/impersonations',
+  requireScope('users:read'),
+  requirePermission('users:read'),
+  [
+    query('userId').optional().isUUID().withMessage('User id must be a UUID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.userId) {
+        where[Op.or] = [
+          { impersonatorId: req.query.userId },
+          { targetUserId: req.query.userId }
+        ];
+      }
+
+      const { count, rows: impersonations } = await Impersonation.findAndCountAll({
+        where,
+        limit,
+        offset,
+        distinct: true,
+        order: [['createdAt', 'DESC'], [{ model: AuditLog, as: 'actions' }, 'createdAt', 'ASC']],
+        include: [
+          { model: User, as: 'impersonator', attributes: ['id', 'username', 'email'] },
+          { model: User, as: 'targetUser', attributes: ['id', 'username', 'email'] },
+          {
+            model: AuditLog,
+            as: 'actions',
+            attributes: ['id', 'action', 'method', 'path', 'statusCode', 'createdAt']
+          }
+        ]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          impersonations,
+          pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/data-requests:
+ *   get:
+ *     summary: List personal data export and erasure requests (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Only requests about this user
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Data requests retrieved successfully
  *       403:
- *         description: Admin access required
+ *         description: Missing the users:read permission
+ */
+router.get('/data-requests',
+  requireScope('users:read'),
+  requirePermission('users:read'),
+  [
+    query('userId').optional().isUUID().withMessage('User id must be a UUID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = { action: DATA_REQUEST_ACTIONS };
+      if (req.query.userId) {
+        where.metadata = { subjectUserId: req.query.userId };
+      }
+
+      const { count, rows: requests } = await AuditLog.findAndCountAll({
+        where,
+        limit,
+        offset,
+        order: [['createdAt', 'DESC']],
+        include: [{ model: User, as: 'user', attributes: ['id', 'username', 'email'] }]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          requests,
+          pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/lockouts/{id}:
+ *   delete:
+ *     summary: Clear a single login throttle entry (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       404:
+ *         description: Lockout not found
  */
-router.get('/', authorizeAdmin, async (req, res, next) => {
+router.delete('/lockouts/:id', requireScope('users:write'), requirePermission('users:manage'), async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const { count, rows: users } = await User.findAndCountAll({
-      limit,
-      offset,
-      order: [['createdAt', 'DESC']],
-      attributes: { exclude: ['password'] }
-    });
+    const deleted = await LoginThrottle.destroy({ where: { id: req.params.id } });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: {
-        users,
-        pagination: {
-          page,
-          limit,
-          total: count,
-          pages: Math.ceil(count / limit)
-        }
+      message: 'Lockout cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/lockouts:
+ *   delete:
+ *     summary: Clear every login throttle for a user (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lockouts cleared
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/lockouts', requireScope('users:write'), requirePermission('users:manage'), async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await LoginThrottle.destroy({
+      where: {
+        [Op.or]: [
+          { userId: user.id },
+          { scope: 'email', identifier: user.email }
+        ]
       }
     });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockouts cleared successfully'
+    });
   } catch (error) {
     next(error);
   }
@@ -67,7 +616,7 @@ router.get('/', authorizeAdmin, async (req, res, next) => {
  * @swagger
  * /api/v1/users/{id}:
  *   get:
- *     summary: Get user by ID (Admin only)
+ *     summary: Get user by ID (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -84,7 +633,7 @@ router.get('/', authorizeAdmin, async (req, res, next) => {
  *       404:
  *         description: User not found
  */
-router.get('/:id', authorizeAdmin, async (req, res, next) => {
+router.get('/:id', requireScope('users:read'), requirePermission('users:read'), async (req, res, next) => {
   try {
     const user = await User.findByPk(req.params.id, {
       attributes: { exclude: ['password'] },
@@ -111,5 +660,950 @@ router.get('/:id', authorizeAdmin, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/{id}/activity:
+ *   get:
+ *     summary: Get a user's login history and product activity (requires users:read)
+ *     description: |
+ *       Returns the most recent login attempts and, for every interval between
+ *       from and to, the number of logins, failed logins and products the user
+ *       created, updated and deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: from
+ *         description: Start of the range (default 30 days before to)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: End of the range (default now)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         description: Number of recent login attempts to return
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Activity retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/activity',
+  requireScope('users:read'),
+  requirePermission('users:read'),
+  [
+    param('id').isUUID().withMessage('Invalid user id'),
+    query('interval')
+      .optional()
+      .isIn(ACTIVITY_INTERVALS)
+      .withMessage(`Interval must be one of ${ACTIVITY_INTERVALS.join(', ')}`),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date')
+      .toDate(),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date')
+      .toDate()
+      .custom((value, { req }) => !(req.query.from instanceof Date) || value >= req.query.from)
+      .withMessage('to must not be before from'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const interval = req.query.interval || 'day';
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - ACTIVITY_DEFAULT_DAYS * DAY_MS);
+      const limit = parseInt(req.query.limit) || 20;
+
+      if (to - from > ACTIVITY_MAX_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          message: `The range can span at most ${ACTIVITY_MAX_DAYS} days`
+        });
+      }
+
+      const user = await User.findByPk(req.params.id, {
+        attributes: ['id', 'username', 'email', 'lastLoginAt']
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const [series, recentLogins] = await Promise.all([
+        getActivitySeries(user.id, { interval, from, to }),
+        LoginEvent.findAll({
+          where: { userId: user.id },
+          order: [['createdAt', 'DESC']],
+          limit
+        })
+      ]);
+
+      const totals = series.reduce((sum, row) => {
+        Object.keys(sum).forEach(key => { sum[key] += row[key]; });
+        return sum;
+      }, { logins: 0, failedLogins: 0, created: 0, updated: 0, deleted: 0 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          user,
+          range: { interval, from, to },
+          totals,
+          series,
+          recentLogins
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Change a user's role and/or active status; shared by PATCH /users/:id and
+ * PUT /users/:id/role so both validate and audit role changes the same way
+ */
+const updateUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, isActive } = req.body;
+
+    if (role !== undefined && !req.permissions.has('roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Changing a role requires the 'roles:manage' permission."
+      });
+    }
+
+    if (isActive !== undefined && !req.permissions.has('users:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Activating or deactivating users requires the 'users:manage' permission."
+      });
+    }
+
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role !== undefined && !await Role.findOne({ where: { name: role } })) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${role}' does not exist`
+      });
+    }
+
+    if (isActive === true && user.erasedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Erased accounts cannot be reactivated'
+      });
+    }
+
+    if (isActive === false && user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const demoting = role !== undefined && role !== ADMIN_ROLE;
+    if ((demoting || isActive === false) && await isLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The last active admin cannot be demoted or deactivated'
+      });
+    }
+
+    const changes = {};
+    if (role !== undefined && role !== user.role) {
+      changes.role = { from: user.role, to: role };
+    }
+    if (isActive !== undefined && isActive !== user.isActive) {
+      changes.isActive = { from: user.isActive, to: isActive };
+    }
+
+    await user.update({
+      ...(changes.role && { role }),
+      ...(changes.isActive && { isActive })
+    });
+
+    if (changes.isActive && !isActive) {
+      await revokeUserSessions(user.id);
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await recordAudit('user.update', req, { metadata: { targetUserId: user.id, changes } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   patch:
+ *     summary: Change a user's role or active status
+ *     description: Changing the role requires roles:manage, changing isActive requires users:manage. Deactivating signs the user out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Validation error, unknown role or deactivating yourself
+ *       403:
+ *         description: Missing the permission for the requested change, or not an interactive session
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The last active admin cannot be demoted or deactivated, or the account was erased
+ */
+router.patch('/:id',
+  requireScope('users:write'),
+  requireSession,
+  requirePermission('users:manage', 'roles:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid user id'),
+    body('role')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Role must be a non-empty string'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean(),
+    body()
+      .custom(value => value.role !== undefined || value.isActive !== undefined)
+      .withMessage('Provide a role or isActive to update')
+  ],
+  updateUser
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   delete:
+ *     summary: Delete a user (requires users:manage)
+ *     description: |
+ *       A user with products in their personal organization can only be
+ *       deleted with an explicit choice: `products=cascade` deletes them,
+ *       `products=reassign&reassignTo=<id>` hands them to another active
+ *       user. Products they created in team organizations stay with the
+ *       team and are credited to one of its owners. Users who are the only
+ *       owner of a team organization cannot be deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: products
+ *         schema:
+ *           type: string
+ *           enum: [cascade, reassign]
+ *       - in: query
+ *         name: reassignTo
+ *         description: New owner of the products when products=reassign
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Validation error, deleting yourself or an unusable new owner
+ *       403:
+ *         description: Missing users:manage, or not an interactive session
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user owns products and no choice was made, the inventories to merge share variant SKUs, the user is the only owner of a team organization or a team has no other active owner to take over their products, or the user is the last active admin
+ */
+router.delete('/:id',
+  requireScope('users:write'),
+  requireSession,
+  requirePermission('users:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid user id'),
+    query('products')
+      .optional()
+      .isIn(['cascade', 'reassign'])
+      .withMessage('Products must be cascade or reassign'),
+    query('reassignTo')
+      .if(query('products').equals('reassign'))
+      .isUUID()
+      .withMessage('reassignTo must be the id of the new owner')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot delete your own account'
+        });
+      }
+
+      if (await isLastAdmin(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The last active admin cannot be deleted'
+        });
+      }
+
+      // Teams the user alone owns would be left without anyone to run them
+      const soleOwnedTeams = await findSoleOwnedTeams(user.id);
+      if (soleOwnedTeams.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `User is the only owner of ${soleOwnedTeams.map(organization => organization.name).join(', ')}. Make another member an owner, or delete the organization, first.`,
+          data: { organizations: soleOwnedTeams.map(organization => ({ id: organization.id, name: organization.name })) }
+        });
+      }
+
+      // Only the personal inventory goes with the user; team products stay with their team
+      const personal = await Organization.findOne({ where: { personalUserId: user.id } });
+      const productCount = personal ? await Product.count({ where: { organizationId: personal.id } }) : 0;
+      if (productCount > 0 && !req.query.products) {
+        return res.status(409).json({
+          success: false,
+          message: `User owns ${productCount} product(s). Choose products=cascade to delete them or products=reassign with reassignTo to keep them.`,
+          data: { productCount }
+        });
+      }
+
+      let newOwner = null;
+      if (productCount > 0 && req.query.products === 'reassign') {
+        newOwner = await User.findByPk(req.query.reassignTo);
+        if (!newOwner || !newOwner.isActive || newOwner.id === user.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'Products can only be reassigned to another active user'
+          });
+        }
+
+        // Variant SKUs must stay unique within the inventory they move into
+        const target = personal && await Organization.findOne({ where: { personalUserId: newOwner.id } });
+        const clashes = target ? await sharedSkus(personal.id, target.id) : [];
+        if (clashes.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: `Both inventories have variants with SKU ${clashes.join(', ')}. Change them before reassigning.`
+          });
+        }
+      }
+
+      // Team products the user created are credited to another active owner of the team
+      const teamProducts = await Product.findAll({
+        where: { userId: user.id, ...(personal && { organizationId: { [Op.ne]: personal.id } }) },
+        attributes: ['organizationId'],
+        group: ['organizationId'],
+        raw: true,
+        paranoid: false
+      });
+      const credits = [];
+      for (const { organizationId } of teamProducts) {
+        const owner = await Membership.findOne({
+          where: { organizationId, role: 'owner', pending: false, userId: { [Op.ne]: user.id } },
+          include: [{ model: User, as: 'user', attributes: [], where: { isActive: true } }],
+          order: [['createdAt', 'ASC']]
+        });
+        credits.push({ organizationId, owner });
+      }
+      const uncredited = credits.filter(credit => !credit.owner).map(credit => credit.organizationId);
+      if (uncredited.length > 0) {
+        const organizations = await Organization.findAll({ where: { id: uncredited }, attributes: ['id', 'name'] });
+        return res.status(409).json({
+          success: false,
+          message: `No other active owner can take over the user's products in ${organizations.map(organization => organization.name).join(', ')}. Make another active member an owner first.`,
+          data: { organizations: organizations.map(organization => ({ id: organization.id, name: organization.name })) }
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        if (personal && newOwner) {
+          // Products in the user's personal organization would be deleted along with it
+          // Deleted products move too, so their stock history stays in one inventory
+          const to = await ensurePersonalOrganization(newOwner, transaction);
+          await Product.update(
+            { organizationId: to.id, userId: newOwner.id },
+            { where: { organizationId: personal.id }, paranoid: false, transaction }
+          );
+        } else if (personal) {
+          await purgeOrganizationProducts(personal.id, transaction);
+        }
+
+        for (const { organizationId, owner } of credits) {
+          await Product.update({ userId: owner.userId }, { where: { organizationId, userId: user.id }, paranoid: false, transaction });
+        }
+
+        await user.destroy({ transaction });
+      });
+
+      await recordAudit('user.delete', req, {
+        metadata: {
+          targetUserId: user.id,
+          username: user.username,
+          email: user.email,
+          productCount,
+          products: productCount > 0 ? req.query.products : null,
+          reassignedTo: newOwner ? newOwner.id : null
+        }
+      });
+
+      let message = 'User deleted successfully';
+      if (newOwner) {
+        message = `User deleted and ${productCount} product(s) reassigned to ${newOwner.username}`;
+      } else if (productCount > 0) {
+        message = `User deleted along with ${productCount} product(s)`;
+      }
+
+      res.status(200).json({
+        success: true,
+        message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/export:
+ *   get:
+ *     summary: Download everything stored about a user (requires users:manage)
+ *     description: Same archive as GET /api/v1/auth/me/export. Needs an interactive session, and the request is logged.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: JSON archive, sent as a file download
+ *       403:
+ *         description: Missing users:manage, or not an interactive session
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/export',
+  requireScope('users:read'),
+  requireSession,
+  requirePermission('users:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid user id')
+  ],
+  async (req, res, next) => {
+    try {
+      logDataRequest('privacy.export', req, res, req.params.id);
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const archive = await buildDataExport(user);
+      sendDataExport(res, user, archive);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/erase:
+ *   post:
+ *     summary: Erase a user's personal data (requires users:manage)
+ *     description: |
+ *       Anonymizes the account in place so products and audit entries keep
+ *       pointing at it, and signs it out everywhere. The request is logged.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User erased
+ *       400:
+ *         description: Erasing your own account (use /api/v1/auth/me/erase)
+ *       403:
+ *         description: Missing users:manage, or not an interactive session
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already erased, the last active admin, or the only owner of a team organization
+ */
+router.post('/:id/erase',
+  requireScope('users:write'),
+  requireSession,
+  requirePermission('users:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid user id')
+  ],
+  async (req, res, next) => {
+    try {
+      logDataRequest('privacy.erasure', req, res, req.params.id);
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use /api/v1/auth/me/erase to erase your own account'
+        });
+      }
+
+      if (user.erasedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'This user has already been erased'
+        });
+      }
+
+      if (await isLastAdmin(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The last active admin cannot be erased'
+        });
+      }
+
+      // Teams the user alone owns would be left without anyone to run them
+      const soleOwnedTeams = await findSoleOwnedTeams(user.id);
+      if (soleOwnedTeams.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `User is the only owner of ${soleOwnedTeams.map(organization => organization.name).join(', ')}. Make another member an owner, or delete the organization, first.`,
+          data: { organizations: soleOwnedTeams.map(organization => ({ id: organization.id, name: organization.name })) }
+        });
+      }
+
+      await eraseUser(user);
+
+      res.status(200).json({
+        success: true,
+        message: 'User data erased',
+        data: { user }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions', requireScope('users:read'), requirePermission('users:read'), async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findAll({
+      where: {
+        userId: user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastSeenAt', 'DESC']],
+      attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt', 'expiresAt']
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   delete:
+ *     summary: Sign a user out everywhere (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: All sessions signed out
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/sessions', requireScope('users:write'), requirePermission('users:manage'), async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeUserSessions(user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User signed out of all sessions'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user (requires roles:manage)
+ *     description: Same as PATCH /users/:id with only a role, and audited the same way.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *       400:
+ *         description: Unknown role
+ *       403:
+ *         description: Missing roles:manage, or not an interactive session
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The last active admin cannot be demoted
+ */
+router.put('/:id/role',
+  requireScope('users:write'),
+  requireSession,
+  requirePermission('roles:manage'),
+  [
+    param('id').isUUID().withMessage('Invalid user id'),
+    body('role')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Role is required'),
+    body('isActive')
+      .not()
+      .exists()
+      .withMessage('Use PATCH /users/:id to change isActive')
+  ],
+  updateUser
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/impersonate:
+ *   post:
+ *     summary: Start viewing the application as a user (requires users:impersonate)
+ *     description: |
+ *       Returns a short-lived access token for the user that also names the
+ *       admin behind it. No refresh token is issued. Every mutating request
+ *       made with the token is recorded in the audit log with both user ids.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *       400:
+ *         description: Cannot impersonate yourself, an inactive user, another administrator or a user with permissions you lack
+ *       403:
+ *         description: Missing the users:impersonate permission, or already impersonating
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/impersonate',
+  requireSession,
+  requirePermission('users:impersonate'),
+  [
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const target = await User.findByPk(req.params.id);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (target.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot impersonate yourself'
+        });
+      }
+
+      if (!target.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Inactive users cannot be impersonated'
+        });
+      }
+
+      // Viewing as a peer would let one admin act with another's privileges
+      const targetPermissions = await getRolePermissions(target.role);
+      if (targetPermissions.includes('users:impersonate')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Users who can impersonate others cannot be impersonated'
+        });
+      }
+
+      // Nor may the impersonation grant anything the impersonator lacks
+      if (!targetPermissions.every(permission => req.permissions.has(permission))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Users holding permissions you do not have cannot be impersonated'
+        });
+      }
+
+      const { token, impersonation } = await startImpersonation(req, target, req.body.reason);
+
+      res.status(201).json({
+        success: true,
+        message: `Now impersonating ${target.username} for ${IMPERSONATION_TTL_MINUTES} minutes`,
+        data: {
+          token,
+          user: target,
+          impersonation
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
 
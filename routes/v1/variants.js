@@ -0,0 +1,524 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const { authenticate, requireScope, requirePermission } = require('../../middleware/auth');
+const { resolveOrganization, canEditInOrganization } = require('../../middleware/organization');
+const { recordAudit } = require('../../utils/audit');
+const { PRODUCT_ACTIONS } = require('../../utils/activity');
+const {
+  MAX_VARIANT_OPTIONS,
+  SKU_PATTERN,
+  isValidOptions,
+  normalizeOptions,
+  optionsTaken,
+  lockOrganizationSkus,
+  skuTaken,
+  recalculateProductStock
+} = require('../../utils/variants');
+const { MAX_STOCK, applyStockMovement, adjustStockTo } = require('../../utils/stockMovements');
+
+// Mounted under /api/v1/products/:productId/variants
+const router = express.Router({ mergeParams: true });
+
+// All variant routes require authentication
+router.use(authenticate);
+
+const SKU_TAKEN_MESSAGE = 'Another variant in this organization already uses this SKU';
+
+const productIdValidator = param('productId').isUUID().withMessage('Invalid product id');
+const variantIdValidator = param('variantId').isUUID().withMessage('Invalid variant id');
+
+// Rules shared by variant creation and updates
+const variantValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('sku')
+      .isString()
+      .trim()
+      .toUpperCase()
+      .matches(SKU_PATTERN)
+      .withMessage('SKU must be 1 to 64 letters, digits, dots, dashes, underscores or slashes'),
+    body('options')
+      .optional()
+      .custom(isValidOptions)
+      .withMessage(`Options must map up to ${MAX_VARIANT_OPTIONS} names (letters first, at most 50 characters) to values of 1 to 100 characters`)
+      .customSanitizer(options => (isValidOptions(options) ? normalizeOptions(options) : options)),
+    field('price')
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a positive number'),
+    body('stock')
+      .optional()
+      .isInt({ min: 0, max: MAX_STOCK })
+      .withMessage(`Stock must be a non-negative integer of at most ${MAX_STOCK}`)
+      .toInt()
+  ];
+};
+
+/**
+ * Load the product named in the URL from the active organization
+ * @param {Object} req - Request that went through resolveOrganization
+ * @param {Object} options - Extra findOne options, e.g. transaction and lock
+ * @returns {Object|null} Product record
+ */
+const findProduct = (req, options = {}) => Product.findOne({
+  where: { id: req.params.productId, organizationId: req.organization.id },
+  ...options
+});
+
+/**
+ * Record a variant change as an update of its product
+ * @param {Object} req - Express request
+ * @param {Object} product - Parent product
+ * @param {String} variantId - Variant that changed
+ */
+const auditVariantChange = (req, product, variantId) => recordAudit(PRODUCT_ACTIONS.update, req, {
+  metadata: { productId: product.id, organizationId: product.organizationId, variantId }
+});
+
+/**
+ * @swagger
+ * /api/v1/products/{productId}/variants:
+ *   get:
+ *     summary: List a product's variants
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Variants retrieved successfully, with the product's total stock
+ *       404:
+ *         description: Product not found
+ */
+router.get('/',
+  requireScope('products:read'),
+  requirePermission('products:read:own', 'products:read:any'),
+  resolveOrganization,
+  [productIdValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const product = await findProduct(req);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const variants = await ProductVariant.findAll({
+        where: { productId: product.id },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          variants,
+          totalStock: product.stock
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{productId}/variants:
+ *   post:
+ *     summary: Add a variant to a product
+ *     description: |
+ *       The product's stock becomes the total of its variants' stock. The
+ *       variant's initial stock is recorded as a receipt, and adding the
+ *       first variant records an adjustment clearing the product's own stock.
+ *       Requires the owner or editor role in the active organization.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *               - price
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 description: |
+ *                   Stored upper case. No other variant of a product in the
+ *                   same organization may use it, unless that variant or its
+ *                   product is deleted.
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "size": "M", "color": "Red" }
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Variant created successfully
+ *       403:
+ *         description: Viewers cannot change products
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Another variant in the organization has the same SKU, another variant of the product has the same options, or the product's stock would exceed 2147483647
+ */
+router.post('/',
+  requireScope('products:write'),
+  requirePermission('products:update:own', 'products:update:any'),
+  resolveOrganization,
+  [productIdValidator, ...variantValidators(false)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!canEditInOrganization(req, 'products:update:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Viewers cannot update products in this organization.'
+        });
+      }
+
+      const { sku, options = {}, price, stock = 0 } = req.body;
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const product = await findProduct(req, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!product) {
+          return { status: 404, message: 'Product not found' };
+        }
+        if (await optionsTaken(product.id, options, transaction)) {
+          return { status: 409, message: 'Another variant of this product has the same options' };
+        }
+        await lockOrganizationSkus(product.organizationId, transaction);
+        if (await skuTaken(product.organizationId, sku, transaction)) {
+          return { status: 409, message: SKU_TAKEN_MESSAGE };
+        }
+
+        // From now on the product's stock is held by its variants
+        const firstVariant = await ProductVariant.count({ where: { productId: product.id }, transaction }) === 0;
+        if ((firstVariant ? 0 : product.stock) + stock > MAX_STOCK) {
+          return { status: 409, message: `Stock cannot exceed ${MAX_STOCK}` };
+        }
+        if (firstVariant) {
+          await adjustStockTo(product, 0, { reason: 'Stock moved to variants', userId: req.user.id }, transaction);
+        }
+
+        const variant = await ProductVariant.create({ productId: product.id, sku, options, price, stock: 0 }, { transaction });
+        if (stock > 0) {
+          await applyStockMovement(product, {
+            variant,
+            type: 'receipt',
+            quantity: stock,
+            reason: 'Initial stock',
+            userId: req.user.id
+          }, transaction);
+        }
+        return { product, variant };
+      });
+
+      if (result.status) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      await auditVariantChange(req, result.product, result.variant.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Variant created successfully',
+        data: {
+          variant: result.variant,
+          totalStock: result.product.stock
+        }
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({
+          success: false,
+          message: SKU_TAKEN_MESSAGE
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{productId}/variants/{variantId}:
+ *   put:
+ *     summary: Update a variant
+ *     description: |
+ *       A new `stock` is recorded as an adjustment in the stock movement
+ *       ledger; prefer POST /api/v1/products/{productId}/stock-movements.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 description: Same rules as when adding a variant
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully
+ *       403:
+ *         description: Viewers cannot change products
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Another variant in the organization has the same SKU, another variant of the product has the same options, or the product's stock would exceed 2147483647
+ */
+router.put('/:variantId',
+  requireScope('products:write'),
+  requirePermission('products:update:own', 'products:update:any'),
+  resolveOrganization,
+  [productIdValidator, variantIdValidator, ...variantValidators(true)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!canEditInOrganization(req, 'products:update:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Viewers cannot update products in this organization.'
+        });
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const product = await findProduct(req, { transaction, lock: transaction.LOCK.UPDATE });
+        const variant = product && await ProductVariant.findOne({
+          where: { id: req.params.variantId, productId: product.id },
+          transaction
+        });
+        if (!variant) {
+          return { status: 404, message: product ? 'Variant not found' : 'Product not found' };
+        }
+        if (req.body.options && await optionsTaken(product.id, req.body.options, transaction, variant.id)) {
+          return { status: 409, message: 'Another variant of this product has the same options' };
+        }
+        if (req.body.sku !== undefined && req.body.sku !== variant.sku) {
+          await lockOrganizationSkus(product.organizationId, transaction);
+          if (await skuTaken(product.organizationId, req.body.sku, transaction, variant.id)) {
+            return { status: 409, message: SKU_TAKEN_MESSAGE };
+          }
+        }
+
+        if (req.body.stock !== undefined) {
+          const adjusted = await adjustStockTo(product, req.body.stock, {
+            variant,
+            reason: 'Stock set by variant update',
+            userId: req.user.id
+          }, transaction);
+          if (adjusted.error) {
+            return { status: 409, message: adjusted.error };
+          }
+        }
+        await variant.update(req.body, { fields: ['sku', 'options', 'price'], transaction });
+        return { product, variant };
+      });
+
+      if (result.status) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      await auditVariantChange(req, result.product, result.variant.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Variant updated successfully',
+        data: {
+          variant: result.variant,
+          totalStock: result.product.stock
+        }
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({
+          success: false,
+          message: SKU_TAKEN_MESSAGE
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{productId}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a variant
+ *     description: |
+ *       Its stock is removed from the product's total, recorded as an
+ *       adjustment in the stock movement ledger.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrganizationHeader'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Variant deleted successfully
+ *       403:
+ *         description: Viewers cannot change products
+ *       404:
+ *         description: Product or variant not found
+ */
+router.delete('/:variantId',
+  requireScope('products:write'),
+  requirePermission('products:update:own', 'products:update:any'),
+  resolveOrganization,
+  [productIdValidator, variantIdValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!canEditInOrganization(req, 'products:update:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Viewers cannot update products in this organization.'
+        });
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const product = await findProduct(req, { transaction, lock: transaction.LOCK.UPDATE });
+        const variant = product && await ProductVariant.findOne({
+          where: { id: req.params.variantId, productId: product.id },
+          transaction
+        });
+        if (!variant) {
+          return { status: 404, message: product ? 'Variant not found' : 'Product not found' };
+        }
+
+        await adjustStockTo(product, 0, {
+          variant,
+          reason: `Variant ${variant.sku} deleted`,
+          userId: req.user.id
+        }, transaction);
+        await variant.destroy({ transaction });
+        await recalculateProductStock(product, transaction);
+        return { product, variant };
+      });
+
+      if (result.status) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      await auditVariantChange(req, result.product, result.variant.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Variant deleted successfully',
+        data: { totalStock: result.product.stock }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
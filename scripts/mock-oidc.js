@@ -0,0 +1,127 @@
+/**
+ * Mock OpenID Connect Provider
+ * Minimal identity provider for trying single sign-on locally.
+ * The login form lets you sign in as any email with any groups.
+ *
+ * Usage: node scripts/mock-oidc.js
+ * Then set OIDC_ISSUER=http://localhost:4000 and OIDC_CLIENT_ID=primetrade
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'primetrade';
+const KEY_ID = 'mock-key';
+
+// Fresh signing key on every start; clients fetch it from the JWKS endpoint
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Authorization codes waiting to be exchanged, keyed by code
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Show a login form carrying the authorization request through as hidden fields
+app.get('/authorize', (req, res) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 40px auto;">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="sso.user@example.com" required></label></p>
+    <p><label>Subject (leave blank to derive from email)<br><input name="sub"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+
+  if (clientId !== CLIENT_ID || !redirectUri) {
+    return res.status(400).send('Unknown client or missing redirect_uri');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    expiresAt: Date.now() + 60 * 1000,
+    claims: {
+      sub: req.body.sub || crypto.createHash('sha256').update(req.body.email).digest('hex').slice(0, 24),
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'on',
+      preferred_username: req.body.email.split('@')[0],
+      groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+
+  const params = new URLSearchParams({ code, ...(state && { state }) });
+  res.redirect(`${redirectUri}?${params.toString()}`);
+});
+
+app.post('/token', (req, res) => {
+  const pending = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!pending || pending.expiresAt < Date.now() || req.body.grant_type !== 'authorization_code') {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (req.body.client_id !== pending.clientId || req.body.redirect_uri !== pending.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (!pending.codeChallenge || challenge !== pending.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...pending.claims, nonce: pending.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: pending.clientId, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
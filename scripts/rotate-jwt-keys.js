@@ -0,0 +1,29 @@
+/**
+ * JWT Key Rotation Script
+ * Creates a new access token signing key and retires the current one.
+ * Retired keys keep verifying tokens until those tokens expire, then are
+ * removed on a later rotation. Running servers pick up the new key within
+ * 30 seconds, so nobody is logged out.
+ *
+ * Usage: node scripts/rotate-jwt-keys.js [RS256|ES256]
+ * Defaults to JWT_ALGORITHM. Keys are stored in JWT_KEYS_DIR (default: keys).
+ */
+
+require('dotenv').config();
+const { rotateKeys } = require('../utils/jwtKeys');
+
+try {
+  const algorithm = (process.argv[2] || process.env.JWT_ALGORITHM || 'RS256').toUpperCase();
+  const { kid, retired, pruned } = rotateKeys(algorithm);
+
+  console.log(`🔑 New ${algorithm} signing key: ${kid}`);
+  if (retired.length > 0) {
+    console.log(`   Retired (still verifying until their tokens expire): ${retired.join(', ')}`);
+  }
+  if (pruned.length > 0) {
+    console.log(`   Removed expired keys: ${pruned.join(', ')}`);
+  }
+} catch (error) {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+}
@@ -9,13 +9,25 @@ require('dotenv').config();
 const { sequelize } = require('../config/database');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductVariant = require('../models/ProductVariant');
+const { setupRoles } = require('../utils/rbac');
+const { ensurePersonalOrganization, migrateProductsToOrganizations } = require('../utils/organizations');
+const { setupProductSearch } = require('../utils/productSearch');
+const { migrateProductCategories } = require('../utils/categories');
+const { recalculateProductStock } = require('../utils/variants');
+const { recordOpeningBalances } = require('../utils/stockMovements');
 
 const seedDatabase = async () => {
   try {
     console.log('🌱 Starting database seeding...');
 
     // Sync database
+    await setupRoles();
+    await migrateProductsToOrganizations();
+    await migrateProductCategories();
     await sequelize.sync({ force: false });
+    await setupProductSearch();
     console.log('✅ Database synced');
 
     // Create admin user
@@ -26,7 +38,8 @@ const seedDatabase = async () => {
         email: 'admin@primetrade.com',
         password: 'Admin123',
         role: 'admin',
-        isActive: true
+        isActive: true,
+        emailVerified: true
       }
     });
 
@@ -46,7 +59,8 @@ const seedDatabase = async () => {
         email: 'user@primetrade.com',
         password: 'User123',
         role: 'user',
-        isActive: true
+        isActive: true,
+        emailVerified: true
       }
     });
 
@@ -58,6 +72,18 @@ const seedDatabase = async () => {
       console.log('ℹ️  Regular user already exists');
     }
 
+    // Sample products go into the regular user's personal organization
+    const organization = await ensurePersonalOrganization(regularUser);
+
+    // Create sample categories: Electronics > Computers, Electronics > Accessories
+    const findOrCreateCategory = async (name, slug, parentId = null) => {
+      const [category] = await Category.findOrCreate({ where: { slug }, defaults: { name, parentId } });
+      return category;
+    };
+    const electronics = await findOrCreateCategory('Electronics', 'electronics');
+    const computers = await findOrCreateCategory('Computers', 'computers', electronics.id);
+    const accessories = await findOrCreateCategory('Accessories', 'accessories', electronics.id);
+
     // Create sample products
     const sampleProducts = [
       {
@@ -65,32 +91,40 @@ const seedDatabase = async () => {
         description: 'High-performance laptop with 16GB RAM and 512GB SSD',
         price: 1299.99,
         stock: 50,
-        category: 'Electronics',
-        userId: regularUser.id
+        categoryId: computers.id,
+        category: computers.name,
+        userId: regularUser.id,
+        organizationId: organization.id
       },
       {
         name: 'Wireless Mouse',
         description: 'Ergonomic wireless mouse with long battery life',
         price: 29.99,
         stock: 200,
-        category: 'Accessories',
-        userId: regularUser.id
+        categoryId: accessories.id,
+        category: accessories.name,
+        userId: regularUser.id,
+        organizationId: organization.id
       },
       {
         name: 'Mechanical Keyboard',
         description: 'RGB mechanical keyboard with Cherry MX switches',
         price: 149.99,
         stock: 75,
-        category: 'Accessories',
-        userId: regularUser.id
+        categoryId: accessories.id,
+        category: accessories.name,
+        userId: regularUser.id,
+        organizationId: organization.id
       },
       {
         name: '4K Monitor',
         description: '27-inch 4K UHD monitor with HDR support',
         price: 399.99,
         stock: 30,
-        category: 'Electronics',
-        userId: regularUser.id
+        categoryId: computers.id,
+        category: computers.name,
+        userId: regularUser.id,
+        organizationId: organization.id
       }
     ];
 
@@ -108,6 +142,23 @@ const seedDatabase = async () => {
 
     console.log(`✅ Created ${productsCreated} sample products`);
 
+    // The mouse comes in two colors, stocked separately
+    const mouse = await Product.findOne({ where: { name: 'Wireless Mouse', userId: regularUser.id } });
+    const mouseVariants = [
+      { sku: 'MOUSE-WL-BLK', options: { color: 'Black' }, price: 29.99, stock: 120 },
+      { sku: 'MOUSE-WL-WHT', options: { color: 'White' }, price: 31.99, stock: 80 }
+    ];
+    for (const variantData of mouseVariants) {
+      await ProductVariant.findOrCreate({
+        where: { productId: mouse.id, sku: variantData.sku },
+        defaults: { ...variantData, productId: mouse.id }
+      });
+    }
+    await recalculateProductStock(mouse);
+
+    // Seeded stock starts the movement ledger
+    await recordOpeningBalances();
+
     console.log('\n🎉 Database seeding completed successfully!');
     console.log('\n📝 Test Credentials:');
     console.log('   Admin: admin@primetrade.com / Admin123');
@@ -7,11 +7,31 @@ require('dotenv').config();
 
 const { sequelize } = require('./config/database');
 const swaggerSetup = require('./config/swagger');
+const { setupRoles } = require('./utils/rbac');
+const { migrateEmailVerifiedColumn } = require('./utils/emailVerification');
+const { migrateProductsToOrganizations } = require('./utils/organizations');
+const { migrateProductCategories } = require('./utils/categories');
+const { setupProductSearch } = require('./utils/productSearch');
+const { setupVariantSkuIndex } = require('./utils/variants');
+const { restrictStockMovementReferences, recordOpeningBalances } = require('./utils/stockMovements');
+const { dropInvitationRoleReference } = require('./utils/invitations');
+const { keepImpersonationsOfDeletedUsers } = require('./utils/impersonation');
+const { getPublicJwks, checkKeyConfiguration } = require('./utils/jwtKeys');
+const { checkMailConfiguration } = require('./utils/mailer');
 
 // Import routes
 const authRoutes = require('./routes/v1/auth');
+const mfaRoutes = require('./routes/v1/mfa');
+const tokenRoutes = require('./routes/v1/tokens');
+const oidcRoutes = require('./routes/v1/oidc');
 const productRoutes = require('./routes/v1/products');
+const variantRoutes = require('./routes/v1/variants');
+const stockMovementRoutes = require('./routes/v1/stockMovements');
 const userRoutes = require('./routes/v1/users');
+const roleRoutes = require('./routes/v1/roles');
+const invitationRoutes = require('./routes/v1/invitations');
+const organizationRoutes = require('./routes/v1/organizations');
+const categoryRoutes = require('./routes/v1/categories');
 
 // Import error handler
 const errorHandler = require('./middleware/errorHandler');
@@ -48,10 +68,25 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'Server is running' });
 });
 
+// Public keys for verifying access tokens when JWT_ALGORITHM is RS256 or ES256
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getPublicJwks());
+});
+
 // API routes with versioning
+app.use('/api/v1/auth/mfa', mfaRoutes);
+app.use('/api/v1/auth/tokens', tokenRoutes);
+app.use('/api/v1/auth/oidc', oidcRoutes);
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/products/:productId/variants', variantRoutes);
+app.use('/api/v1/products/:productId/stock-movements', stockMovementRoutes);
 app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/roles', roleRoutes);
+app.use('/api/v1/invitations', invitationRoutes);
+app.use('/api/v1/organizations', organizationRoutes);
+app.use('/api/v1/categories', categoryRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -68,14 +103,47 @@ app.use(errorHandler);
 // Database connection and server start
 const startServer = async () => {
   try {
+    checkKeyConfiguration();
+    checkMailConfiguration();
+
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully.');
+
+    // Roles must exist before users.role can reference them
+    await setupRoles();
+    console.log('✅ Roles and permissions ready.');
+
+    // Accounts from before email verification count as verified
+    await migrateEmailVerifiedColumn();
+
+    // Products need an organization before sync can make the column required
+    await migrateProductsToOrganizations();
+
+    // Free-text categories become rows that products.categoryId references
+    await migrateProductCategories();
     
     // Sync database (in production, use migrations)
     if (process.env.NODE_ENV !== 'production') {
       await sequelize.sync({ alter: true });
       console.log('✅ Database models synchronized.');
     }
+
+    await setupProductSearch();
+
+    // SKUs used to be unique across every organization
+    await setupVariantSkuIndex();
+
+    // Deleting a product or variant must not erase or orphan its movements
+    await restrictStockMovementReferences();
+
+    // Deleting a role must not erase the invitations that offered it
+    await dropInvitationRoleReference();
+
+    // Deleting an admin or an account must not erase impersonation records
+    await keepImpersonationsOfDeletedUsers();
+
+    // Stock from before the movement ledger becomes its opening balance
+    await recordOpeningBalances();
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
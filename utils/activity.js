@@ -0,0 +1,99 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const LoginEvent = require('../models/LoginEvent');
+
+// Audit actions written by the product routes, counted as catalog activity
+const PRODUCT_ACTIONS = {
+  create: 'product.create',
+  update: 'product.update',
+  delete: 'product.delete'
+};
+
+// Buckets GET /users/:id/activity can group counts by (date_trunc units)
+const ACTIVITY_INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Record a sign-in attempt for a known account. Successful ones also
+ * update the user's lastLoginAt.
+ * @param {Object} user - Account the attempt was for
+ * @param {Object} req - Express request, used to record user agent and IP
+ * @param {Object} details - { success, method: 'password' or 'oidc', failureReason }
+ * @returns {Object} Created LoginEvent record
+ */
+const recordLoginEvent = async (user, req, { success, method = 'password', failureReason = null }) => {
+  const event = await LoginEvent.create({
+    userId: user.id,
+    success,
+    method,
+    failureReason: success ? null : failureReason,
+    ipAddress: req.ip || null,
+    userAgent: (req.get('User-Agent') || '').slice(0, 500) || null
+  });
+
+  if (success) {
+    await user.update({ lastLoginAt: event.createdAt });
+  }
+  return event;
+};
+
+/**
+ * Count a user's logins and product changes per interval. Every interval
+ * between from and to is returned, including empty ones.
+ * @param {String} userId - User to report on
+ * @param {Object} range - { interval, from, to }
+ * @returns {Array} Rows of { period, logins, failedLogins, created, updated, deleted }
+ */
+const getActivitySeries = async (userId, { interval, from, to }) => {
+  return sequelize.query(
+    `WITH periods AS (
+       SELECT generate_series(date_trunc(:interval, :from::timestamptz), date_trunc(:interval, :to::timestamptz), ('1 ' || :interval)::interval) AS period
+     ),
+     logins AS (
+       SELECT date_trunc(:interval, "createdAt") AS period,
+              COUNT(*) FILTER (WHERE "success") AS logins,
+              COUNT(*) FILTER (WHERE NOT "success") AS failed
+       FROM "login_events"
+       WHERE "userId" = :userId AND "createdAt" BETWEEN :from AND :to
+       GROUP BY 1
+     ),
+     products AS (
+       SELECT date_trunc(:interval, "createdAt") AS period,
+              COUNT(*) FILTER (WHERE "action" = :createAction) AS created,
+              COUNT(*) FILTER (WHERE "action" = :updateAction) AS updated,
+              COUNT(*) FILTER (WHERE "action" = :deleteAction) AS deleted
+       FROM "audit_logs"
+       WHERE "userId" = :userId AND "action" IN (:createAction, :updateAction, :deleteAction)
+         AND "createdAt" BETWEEN :from AND :to
+       GROUP BY 1
+     )
+     SELECT periods.period,
+            COALESCE(logins.logins, 0)::int AS "logins",
+            COALESCE(logins.failed, 0)::int AS "failedLogins",
+            COALESCE(products.created, 0)::int AS "created",
+            COALESCE(products.updated, 0)::int AS "updated",
+            COALESCE(products.deleted, 0)::int AS "deleted"
+     FROM periods
+     LEFT JOIN logins USING (period)
+     LEFT JOIN products USING (period)
+     ORDER BY periods.period`,
+    {
+      replacements: {
+        userId,
+        interval,
+        from,
+        to,
+        createAction: PRODUCT_ACTIONS.create,
+        updateAction: PRODUCT_ACTIONS.update,
+        deleteAction: PRODUCT_ACTIONS.delete
+      },
+      type: QueryTypes.SELECT
+    }
+  );
+};
+
+module.exports = {
+  PRODUCT_ACTIONS,
+  ACTIVITY_INTERVALS,
+  recordLoginEvent,
+  getActivitySeries
+};
@@ -0,0 +1,76 @@
+const { Op } = require('sequelize');
+const ApiToken = require('../models/ApiToken');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+// Distinguishes personal access tokens from JWTs in the Authorization header
+const API_TOKEN_PREFIX = 'pat_';
+
+const API_TOKEN_SCOPES = [
+  'products:read',
+  'products:write',
+  'users:read',
+  'users:write',
+  'organizations:read',
+  'organizations:write'
+];
+
+// Avoid a write on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generate a new raw personal access token
+ * @returns {String} Token including the pat_ prefix
+ */
+const generateApiToken = () => {
+  return `${API_TOKEN_PREFIX}${generateOpaqueToken(32)}`;
+};
+
+/**
+ * Find a token that has been neither revoked nor expired
+ * @param {String} token - Raw token from the Authorization header
+ * @returns {Object|null} ApiToken record
+ */
+const findActiveApiToken = async (token) => {
+  return ApiToken.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * Record that a token was used
+ * @param {Object} apiToken - ApiToken record
+ */
+const touchApiToken = async (apiToken) => {
+  if (apiToken.lastUsedAt && Date.now() - apiToken.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  await apiToken.update({ lastUsedAt: new Date() });
+};
+
+/**
+ * Revoke every active personal access token of a user, e.g. once their
+ * password has been reset or changed
+ * @param {String} userId - Owner of the tokens
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Number} Number of tokens revoked
+ */
+const revokeUserApiTokens = async (userId, transaction) => {
+  const [revoked] = await ApiToken.update(
+    { revokedAt: new Date() },
+    { where: { userId, revokedAt: null }, transaction }
+  );
+  return revoked;
+};
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES,
+  generateApiToken,
+  findActiveApiToken,
+  touchApiToken,
+  revokeUserApiTokens
+};
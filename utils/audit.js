@@ -0,0 +1,26 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Append an entry to the audit log
+ * @param {String} action - What happened, e.g. 'impersonation.start'
+ * @param {Object} req - Express request, used for the acting user, impersonator and IP
+ * @param {Object} details - Optional userId, impersonationId, statusCode and metadata
+ * @returns {Object} Created AuditLog record
+ */
+const recordAudit = async (action, req, { userId, impersonationId, statusCode, metadata } = {}) => {
+  return AuditLog.create({
+    action,
+    userId: userId || req.user?.id || null,
+    impersonatorId: req.impersonator?.id || null,
+    impersonationId: impersonationId || req.impersonation?.id || null,
+    method: req.method,
+    path: req.originalUrl.slice(0, 500),
+    statusCode: statusCode || null,
+    ipAddress: req.ip || null,
+    metadata: metadata || null
+  });
+};
+
+module.exports = {
+  recordAudit
+};
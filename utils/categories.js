@@ -0,0 +1,249 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Category = require('../models/Category');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Longest generated slug, leaving room for a "-2" style suffix
+const MAX_SLUG_BASE_LENGTH = 100;
+
+/**
+ * Turn a category name into a slug: lowercase ASCII words joined by hyphens
+ * @param {String} text - Name to convert
+ * @returns {String} Slug, "category" if nothing usable is left
+ */
+const slugify = (text) => {
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_BASE_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'category';
+};
+
+/**
+ * Generate a slug for a name that no other category uses yet
+ * @param {String} name - Category name
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {String} "name", or "name-2", "name-3", ... when taken
+ */
+const uniqueSlug = async (name, transaction) => {
+  const base = slugify(name);
+  const taken = await Category.findAll({
+    attributes: ['slug'],
+    where: { slug: { [Op.or]: [base, { [Op.like]: `${base}-%` }] } },
+    transaction
+  });
+  const slugs = new Set(taken.map(category => category.slug));
+
+  let slug = base;
+  for (let suffix = 2; slugs.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+/**
+ * List every category with its position in the tree
+ * @returns {Array} Categories ordered depth-first by name, each with path
+ *   (names from the root, joined by " / ") and depth (0 for top-level)
+ */
+const listCategories = async () => {
+  const categories = await Category.findAll();
+  const byId = new Map(categories.map(category => [category.id, category]));
+
+  const namesOf = (category) => {
+    const names = [];
+    for (let current = category; current; current = byId.get(current.parentId)) {
+      names.unshift(current.name);
+    }
+    return names;
+  };
+
+  const compare = (a, b) => {
+    for (let index = 0; index < Math.min(a.length, b.length); index++) {
+      const order = a[index].localeCompare(b[index]);
+      if (order !== 0) {
+        return order;
+      }
+    }
+    return a.length - b.length;
+  };
+
+  return categories
+    .map(category => ({ category, names: namesOf(category) }))
+    .sort((a, b) => compare(a.names, b.names))
+    .map(({ category, names }) => ({
+      ...category.toJSON(),
+      path: names.join(' / '),
+      depth: names.length - 1
+    }));
+};
+
+/**
+ * Find the given categories and everything below them
+ * @param {Array} ids - Category ids
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Array} Ids of the categories and all their descendants
+ */
+const getDescendantIds = async (ids, transaction) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const rows = await sequelize.query(
+    `WITH RECURSIVE tree AS (
+       SELECT "id" FROM "categories" WHERE "id" IN (:ids)
+       UNION
+       SELECT "categories"."id" FROM "categories" JOIN tree ON "categories"."parentId" = tree."id"
+     )
+     SELECT "id" FROM tree`,
+    { replacements: { ids }, type: QueryTypes.SELECT, transaction }
+  );
+  return rows.map(row => row.id);
+};
+
+/**
+ * Look categories up by id, slug or name (case-insensitive). A name shared
+ * by categories under different parents matches all of them.
+ * @param {Array} references - Ids, slugs or names
+ * @returns {Object} { categories, unknown }, unknown listing the references
+ *   that matched nothing
+ */
+const findCategories = async (references) => {
+  const ids = references.filter(reference => UUID_PATTERN.test(reference));
+  const lowered = references.map(reference => reference.toLowerCase());
+
+  const categories = await Category.findAll({
+    where: {
+      [Op.or]: [
+        ...(ids.length > 0 ? [{ id: ids }] : []),
+        { slug: lowered },
+        sequelize.where(sequelize.fn('lower', sequelize.col('name')), { [Op.in]: lowered })
+      ]
+    }
+  });
+
+  const unknown = references.filter(reference => !categories.some(category =>
+    category.id === reference.toLowerCase() ||
+    category.slug === reference.toLowerCase() ||
+    category.name.toLowerCase() === reference.toLowerCase()
+  ));
+  return { categories, unknown };
+};
+
+/**
+ * Work out the category fields of a product from a create or update body.
+ * categoryId wins; the older free-text category is accepted as a category
+ * id, slug or name so existing clients keep working.
+ * @param {Object} body - Request body
+ * @returns {Object} { categoryId, category } to save, {} when the body sets
+ *   neither, or { error } when the category cannot be resolved
+ */
+const resolveProductCategory = async (body) => {
+  if (body.categoryId !== undefined) {
+    if (body.categoryId === null) {
+      return { categoryId: null, category: null };
+    }
+    const category = await Category.findByPk(body.categoryId);
+    return category
+      ? { categoryId: category.id, category: category.name }
+      : { error: 'Category not found' };
+  }
+
+  if (body.category !== undefined) {
+    if (!body.category) {
+      return { categoryId: null, category: null };
+    }
+    const { categories } = await findCategories([body.category]);
+    if (categories.length === 0) {
+      return { error: `Unknown category "${body.category}". Categories are managed by admins.` };
+    }
+    if (categories.length > 1) {
+      return { error: `Several categories are called "${body.category}"; send categoryId instead` };
+    }
+    return { categoryId: categories[0].id, category: categories[0].name };
+  }
+
+  return {};
+};
+
+/**
+ * Turn the free-text categories of existing products into top-level
+ * categories and link the products to them. Names differing only in case or
+ * surrounding spaces become one category. Runs before sync, which cannot add
+ * the categoryId reference on production databases, and does nothing once
+ * every product is linked.
+ */
+const migrateProductCategories = async () => {
+  const [[products]] = await sequelize.query("SELECT to_regclass('products') AS oid");
+  if (!products.oid) {
+    return;
+  }
+
+  await Category.sync();
+
+  const [[column]] = await sequelize.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'products' AND column_name = 'categoryId'`
+  );
+
+  const migrated = await sequelize.transaction(async (transaction) => {
+    if (!column) {
+      await sequelize.query(
+        'ALTER TABLE "products" ADD COLUMN "categoryId" UUID REFERENCES "categories" ("id") ON DELETE SET NULL',
+        { transaction }
+      );
+    }
+
+    const names = await sequelize.query(
+      `SELECT lower(btrim("category")) AS "key", min(btrim("category")) AS "name"
+       FROM "products"
+       WHERE "categoryId" IS NULL AND btrim(coalesce("category", '')) <> ''
+       GROUP BY 1`,
+      { type: QueryTypes.SELECT, transaction }
+    );
+
+    for (const { key, name } of names) {
+      let category = await Category.findOne({
+        where: {
+          parentId: null,
+          [Op.and]: [sequelize.where(sequelize.fn('lower', sequelize.col('name')), key)]
+        },
+        transaction
+      });
+      if (!category) {
+        category = await Category.create({ name, slug: await uniqueSlug(name, transaction) }, { transaction });
+      }
+
+      await sequelize.query(
+        `UPDATE "products" SET "categoryId" = :categoryId, "category" = :name
+         WHERE "categoryId" IS NULL AND lower(btrim("category")) = :key`,
+        { replacements: { categoryId: category.id, name: category.name, key }, transaction }
+      );
+    }
+
+    // Blank categories were never meaningful
+    await sequelize.query(
+      `UPDATE "products" SET "category" = NULL
+       WHERE "categoryId" IS NULL AND "category" IS NOT NULL AND btrim("category") = ''`,
+      { transaction }
+    );
+    return names.length;
+  });
+
+  if (migrated > 0) {
+    console.log(`✅ Moved ${migrated} free-text product categories into the category tree`);
+  }
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  listCategories,
+  getDescendantIds,
+  findCategories,
+  resolveProductCategory,
+  migrateProductCategories
+};
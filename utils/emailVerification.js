@@ -0,0 +1,33 @@
+const { sequelize } = require('../config/database');
+
+/**
+ * Add users.emailVerified to databases created before email verification,
+ * marking the accounts that already exist as verified so that
+ * REQUIRE_EMAIL_VERIFICATION does not lock them out. Runs before sync, which
+ * would add the column as false for everyone. Does nothing on new databases
+ * or once the column exists.
+ */
+const migrateEmailVerifiedColumn = async () => {
+  const [[users]] = await sequelize.query("SELECT to_regclass('users') AS oid");
+  if (!users.oid) {
+    return;
+  }
+
+  const [[column]] = await sequelize.query(
+    `SELECT 1 AS present FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'emailVerified'`
+  );
+  if (column) {
+    return;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await sequelize.query('ALTER TABLE "users" ADD COLUMN "emailVerified" BOOLEAN NOT NULL DEFAULT true', { transaction });
+    await sequelize.query('ALTER TABLE "users" ALTER COLUMN "emailVerified" SET DEFAULT false', { transaction });
+  });
+  console.log('✅ Marked existing users as having verified email addresses');
+};
+
+module.exports = {
+  migrateEmailVerifiedColumn
+};
@@ -0,0 +1,126 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Impersonation = require('../models/Impersonation');
+const { generateImpersonationToken } = require('./jwt');
+const { recordAudit } = require('./audit');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+// Requests that change data; reads made while impersonating are not audited
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Start impersonating a user from the admin's current session
+ * @param {Object} req - Express request of the authenticated admin
+ * @param {Object} target - User to impersonate
+ * @param {String} reason - Optional reason, kept in the audit trail
+ * @returns {Object} Impersonation token and record
+ */
+const startImpersonation = async (req, target, reason) => {
+  const impersonation = await Impersonation.create({
+    impersonatorId: req.user.id,
+    targetUserId: target.id,
+    sessionId: req.authSession.id,
+    reason: reason || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000)
+  });
+
+  await recordAudit('impersonation.start', req, {
+    impersonationId: impersonation.id,
+    metadata: { targetUserId: target.id, reason: impersonation.reason }
+  });
+
+  return {
+    token: generateImpersonationToken(target, impersonation),
+    impersonation
+  };
+};
+
+/**
+ * Find an impersonation that has been neither ended nor expired
+ * @param {String} impersonationId - imp claim of the access token
+ * @returns {Object|null} Impersonation record
+ */
+const getActiveImpersonation = async (impersonationId) => {
+  return Impersonation.findOne({
+    where: {
+      id: impersonationId,
+      endedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * End the impersonation the request is made under
+ * @param {Object} req - Express request authenticated with an impersonation token
+ */
+const endImpersonation = async (req) => {
+  await req.impersonation.update({ endedAt: new Date() });
+  await recordAudit('impersonation.end', req);
+};
+
+/**
+ * Record every mutating request made under impersonation once its response
+ * has been sent, with both the impersonated user and the admin behind it
+ * @param {Object} req - Express request authenticated with an impersonation token
+ * @param {Object} res - Express response
+ */
+const auditImpersonatedRequest = (req, res) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return;
+  }
+  res.on('finish', () => {
+    recordAudit('impersonation.request', req, { statusCode: res.statusCode })
+      .catch(error => console.error('Failed to record impersonated request:', error.message));
+  });
+};
+
+/**
+ * Make impersonations' references to both users ON DELETE SET NULL in
+ * databases created when deleting either account erased its impersonation
+ * records. Sync does not run in production, so this does not rely on it.
+ * Safe to run on every startup.
+ */
+const keepImpersonationsOfDeletedUsers = async () => {
+  const [[table]] = await sequelize.query("SELECT to_regclass('impersonations') AS oid");
+  if (!table.oid) {
+    return;
+  }
+
+  for (const column of ['impersonatorId', 'targetUserId']) {
+    const [constraints] = await sequelize.query(
+      `SELECT c.conname FROM pg_constraint c
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+       WHERE c.conrelid = 'impersonations'::regclass AND c.contype = 'f'
+         AND a.attname = :column AND (c.confdeltype <> 'n' OR a.attnotnull)`,
+      { replacements: { column } }
+    );
+    if (constraints.length === 0) {
+      continue;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { conname } of constraints) {
+        await sequelize.query(`ALTER TABLE "impersonations" DROP CONSTRAINT "${conname}"`, { transaction });
+      }
+      await sequelize.query(`ALTER TABLE "impersonations" ALTER COLUMN "${column}" DROP NOT NULL`, { transaction });
+      await sequelize.query(
+        `ALTER TABLE "impersonations" ADD CONSTRAINT "impersonations_${column}_fkey"
+         FOREIGN KEY ("${column}") REFERENCES "users" ("id") ON UPDATE CASCADE ON DELETE SET NULL`,
+        { transaction }
+      );
+    });
+    console.log(`✅ Impersonation records now outlive the account in ${column}`);
+  }
+};
+
+module.exports = {
+  IMPERSONATION_TTL_MINUTES,
+  startImpersonation,
+  getActiveImpersonation,
+  endImpersonation,
+  auditImpersonatedRequest,
+  keepImpersonationsOfDeletedUsers
+};
@@ -0,0 +1,122 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Invitation = require('../models/Invitation');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const INVITATION_MAX_TTL_DAYS = 30;
+
+/**
+ * Whether sign-up requires an invitation (REGISTRATION_MODE=invite)
+ * @returns {Boolean} True in invite-only mode
+ */
+const isInviteOnly = () => process.env.REGISTRATION_MODE === 'invite';
+
+/**
+ * Give an invitation a fresh token and expiry and email the link.
+ * Any link sent before stops working. Mail failures are logged and reported
+ * back rather than failing the request.
+ * @param {Object} invitation - Invitation record, new or existing
+ * @param {Object} inviter - User sending the invitation
+ * @param {Number} ttlDays - Days until the invitation expires
+ * @returns {Boolean} Whether the email was handed to the mail transport
+ */
+const sendInvitation = async (invitation, inviter, ttlDays = INVITATION_TTL_DAYS) => {
+  const token = generateOpaqueToken();
+  const now = new Date();
+
+  invitation.set({
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000),
+    lastSentAt: now
+  });
+  await invitation.save();
+
+  const registerUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/register?invite=${token}`;
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: 'You have been invited to PrimeTrade',
+      text: `Hi,\n\n${inviter.username} has invited you to join PrimeTrade. Use the link below to create your account. It expires in ${ttlDays} day(s).\n\n${registerUrl}\n\nIf you were not expecting this, you can ignore this email.`
+    });
+    return true;
+  } catch (mailError) {
+    console.error('Failed to send invitation email:', mailError);
+    return false;
+  }
+};
+
+/**
+ * Find an invitation that has been neither accepted, revoked nor expired
+ * @param {String} token - Raw token from the invitation link
+ * @returns {Object|null} Invitation record
+ */
+const findPendingInvitation = async (token) => {
+  return Invitation.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * Find the most recent usable invitation sent to an email address, for
+ * sign-ups that prove the address some other way than the invitation link
+ * @param {String} email - Lower-cased email address
+ * @returns {Object|null} Invitation record
+ */
+const findPendingInvitationForEmail = async (email) => {
+  return Invitation.findOne({
+    where: {
+      email,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['lastSentAt', 'DESC']]
+  });
+};
+
+/**
+ * Drop the foreign key from invitations to their role in databases created
+ * when deleting a role erased every invitation that offered it. Sync does
+ * not run in production, so this does not rely on it. Safe to run on every
+ * startup.
+ */
+const dropInvitationRoleReference = async () => {
+  const [[table]] = await sequelize.query("SELECT to_regclass('invitations') AS oid");
+  if (!table.oid) {
+    return;
+  }
+
+  const [constraints] = await sequelize.query(
+    `SELECT c.conname FROM pg_constraint c
+     JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+     WHERE c.conrelid = 'invitations'::regclass AND c.contype = 'f'
+       AND a.attname = 'role'`
+  );
+  if (constraints.length === 0) {
+    return;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const { conname } of constraints) {
+      await sequelize.query(`ALTER TABLE "invitations" DROP CONSTRAINT "${conname}"`, { transaction });
+    }
+  });
+  console.log('✅ Invitations now outlive the roles they offered');
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  INVITATION_MAX_TTL_DAYS,
+  isInviteOnly,
+  sendInvitation,
+  findPendingInvitation,
+  findPendingInvitationForEmail,
+  dropInvitationRoleReference
+};
@@ -1,35 +1,172 @@
 const jwt = require('jsonwebtoken');
+const { getSigningKey, getVerificationKey } = require('./jwtKeys');
 
 /**
- * Generate JWT token
+ * Sign access token claims with the active key (JWT_ALGORITHM)
+ * @param {Object} claims - Token claims
+ * @param {String|Number} expiresIn - Lifetime as accepted by jsonwebtoken
+ * @returns {String} JWT token
+ */
+const signAccessToken = (claims, expiresIn) => {
+  const { key, algorithm, kid } = getSigningKey();
+
+  return jwt.sign(claims, key, {
+    algorithm,
+    ...(kid && { keyid: kid }),
+    expiresIn
+  });
+};
+
+/**
+ * Generate JWT access token
  * @param {Object} payload - User data to encode in token
+ * @param {String} familyId - Refresh token family the access token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (payload) => {
-  return jwt.sign(
+const generateToken = (payload, familyId) => {
+  return signAccessToken(
     { 
       id: payload.id,
       email: payload.email,
-      role: payload.role
+      role: payload.role,
+      fam: familyId
+    },
+    process.env.JWT_EXPIRE || '15m'
+  );
+};
+
+/**
+ * Generate an access token acting as another user.
+ * The subject is the impersonated user; the act claim (RFC 8693) names the
+ * admin behind it and imp the impersonation record. It lives no longer than
+ * the impersonation and has no refresh token.
+ * @param {Object} user - Impersonated user
+ * @param {Object} impersonation - Impersonation record
+ * @returns {String} JWT token
+ */
+const generateImpersonationToken = (user, impersonation) => {
+  const expiresIn = Math.max(1, Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000));
+
+  return signAccessToken(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      fam: impersonation.sessionId,
+      imp: impersonation.id,
+      act: { sub: impersonation.impersonatorId }
+    },
+    expiresIn
+  );
+};
+
+/**
+ * Verify JWT access token against the key named by its kid header
+ * @param {String} token - JWT token to verify
+ * @returns {Object} Decoded token payload
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const verificationKey = decoded && getVerificationKey(decoded.header.kid);
+  if (!verificationKey) {
+    throw new jwt.JsonWebTokenError('unknown or expired signing key');
+  }
+  return jwt.verify(token, verificationKey.key, { algorithms: [verificationKey.algorithm] });
+};
+
+/**
+ * Generate a signed email verification token.
+ * The email is embedded so the link stops working if the address changes.
+ * @param {Object} user - User whose email is being verified
+ * @returns {String} JWT token
+ */
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      purpose: 'verify-email'
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
     }
   );
 };
 
+// Single-purpose tokens below are only ever verified by this server, so they
+// stay HMAC signed with JWT_SECRET whatever JWT_ALGORITHM is
+
 /**
- * Verify JWT token
+ * Verify a single-purpose token and check its purpose claim
  * @param {String} token - JWT token to verify
+ * @param {String} purpose - Expected purpose
  * @returns {Object} Decoded token payload
  */
-const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
+};
+
+/**
+ * Verify an email verification token
+ * @param {String} token - JWT token to verify
+ * @returns {Object} Decoded token payload
+ */
+const verifyEmailVerificationToken = (token) => {
+  return verifyPurposeToken(token, 'verify-email');
+};
+
+/**
+ * Generate a short-lived MFA challenge token issued after a correct password.
+ * @param {Object} user - User that passed the password check
+ * @param {String} purpose - 'mfa-verify' to enter a code, 'mfa-setup' to enroll first
+ * @returns {String} JWT token
+ */
+const generateMfaToken = (user, purpose) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      purpose
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.MFA_TOKEN_EXPIRE || '5m'
+    }
+  );
+};
+
+/**
+ * Generate the token kept in a cookie between the SSO redirect and its callback.
+ * Holds the state, nonce and PKCE verifier so they never appear in a URL.
+ * @param {Object} request - { state, nonce, codeVerifier }
+ * @returns {String} JWT token
+ */
+const generateOidcLoginToken = ({ state, nonce, codeVerifier }) => {
+  return jwt.sign(
+    {
+      state,
+      nonce,
+      codeVerifier,
+      purpose: 'oidc-login'
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.OIDC_LOGIN_EXPIRE || '10m'
+    }
+  );
 };
 
 module.exports = {
   generateToken,
-  verifyToken
+  generateImpersonationToken,
+  verifyToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateMfaToken,
+  generateOidcLoginToken,
+  verifyPurposeToken
 };
-
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+// How often a running server looks for a keyset rewritten by the rotation command
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+// Allowance for clocks of other verifying services running slightly behind
+const CLOCK_SKEW_SECONDS = 60;
+
+let cache = { file: null, mtimeMs: 0, checkedAt: 0, keys: [] };
+
+/**
+ * Configured access token algorithm: HS256 signs with JWT_SECRET, while RS256
+ * or ES256 sign with the keyset and set the algorithm for newly rotated keys
+ * @returns {String} JWT algorithm
+ */
+const getAlgorithm = () => (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+
+const isAsymmetric = () => ASYMMETRIC_ALGORITHMS.includes(getAlgorithm());
+
+const keySetFile = () => path.resolve(process.env.JWT_KEYS_DIR || 'keys', 'keyset.json');
+
+/**
+ * Lifetime of an access token in seconds. jsonwebtoken interprets JWT_EXPIRE,
+ * so every format it accepts ('15m', '2h', 900) works here too.
+ * @returns {Number} Seconds
+ */
+const accessTokenLifetime = () => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: process.env.JWT_EXPIRE || '15m' }));
+  return exp - iat;
+};
+
+/**
+ * Whether a key may still verify tokens: the active key, or a retired key
+ * whose last tokens have not expired yet
+ * @param {Object} key - Stored key
+ * @returns {Boolean}
+ */
+const isUsableForVerification = (key) => {
+  if (!key.retiredAt) {
+    return true;
+  }
+  const validUntil = new Date(key.retiredAt).getTime() + (accessTokenLifetime() + CLOCK_SKEW_SECONDS) * 1000;
+  return validUntil > Date.now();
+};
+
+const readKeySet = (file) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8')).keys;
+};
+
+/**
+ * Load the keyset, re-reading the file when it has changed on disk
+ * @param {Boolean} force - Check the file now instead of waiting for the reload interval
+ * @returns {Array} Stored keys, newest first
+ */
+const loadKeys = (force = false) => {
+  const file = keySetFile();
+  const now = Date.now();
+
+  if (!force && cache.file === file && now - cache.checkedAt < RELOAD_INTERVAL_MS) {
+    return cache.keys;
+  }
+
+  const mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+  if (cache.file !== file || mtimeMs !== cache.mtimeMs) {
+    cache = { file, mtimeMs, checkedAt: now, keys: readKeySet(file) };
+  } else {
+    cache.checkedAt = now;
+  }
+  return cache.keys;
+};
+
+/**
+ * Key used to sign new access tokens
+ * @returns {Object} { key, algorithm, kid }
+ */
+const getSigningKey = () => {
+  if (!isAsymmetric()) {
+    return { key: process.env.JWT_SECRET, algorithm: 'HS256' };
+  }
+
+  // The key carries its own algorithm, so rotating from RS256 to ES256 needs no restart
+  const active = loadKeys().find(key => !key.retiredAt);
+  if (!active) {
+    throw new Error('No active JWT signing key. Run "node scripts/rotate-jwt-keys.js" to create one.');
+  }
+  return { key: active.privateKey, algorithm: active.alg, kid: active.kid };
+};
+
+/**
+ * Key able to verify a token signed with the given key id
+ * @param {String} kid - Key id from the token header
+ * @returns {Object|null} { key, algorithm } or null if unknown or expired
+ */
+const getVerificationKey = (kid) => {
+  if (!isAsymmetric()) {
+    return { key: process.env.JWT_SECRET, algorithm: 'HS256' };
+  }
+
+  // A kid we have not seen may come from a key another process just rotated in
+  const stored = loadKeys().find(key => key.kid === kid) || loadKeys(true).find(key => key.kid === kid);
+  if (!stored || !isUsableForVerification(stored)) {
+    return null;
+  }
+  return { key: stored.publicKey, algorithm: stored.alg };
+};
+
+/**
+ * Public keys for /.well-known/jwks.json. Empty when tokens are HMAC signed.
+ * @returns {Object} JSON Web Key Set
+ */
+const getPublicJwks = () => {
+  if (!isAsymmetric()) {
+    return { keys: [] };
+  }
+
+  return {
+    keys: loadKeys()
+      .filter(isUsableForVerification)
+      .map(key => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+  };
+};
+
+/**
+ * Fail fast on an unsupported JWT_ALGORITHM or a missing signing key
+ */
+const checkKeyConfiguration = () => {
+  const algorithm = getAlgorithm();
+  if (algorithm !== 'HS256' && !isAsymmetric()) {
+    throw new Error(`Unsupported JWT_ALGORITHM '${algorithm}'. Use HS256, ${ASYMMETRIC_ALGORITHMS.join(' or ')}.`);
+  }
+  getSigningKey();
+};
+
+/**
+ * Generate a new signing key and retire the current one. Retired keys stay
+ * in the keyset until every token they signed has expired, then are pruned.
+ * @param {String} algorithm - 'RS256' or 'ES256'
+ * @returns {Object} New kid and the kids that were retired or pruned
+ */
+const rotateKeys = (algorithm = getAlgorithm()) => {
+  if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Key rotation needs JWT_ALGORITHM set to one of ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+  }
+
+  const file = keySetFile();
+  const now = new Date().toISOString();
+  const existing = readKeySet(file);
+
+  const { privateKey, publicKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const created = {
+    kid: crypto.randomBytes(8).toString('hex'),
+    alg: algorithm,
+    createdAt: now,
+    retiredAt: null,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+
+  const retired = existing.filter(key => !key.retiredAt).map(key => ({ ...key, retiredAt: now }));
+  const stillValid = existing.filter(key => key.retiredAt && isUsableForVerification(key));
+  const pruned = existing.filter(key => key.retiredAt && !isUsableForVerification(key));
+  const kept = [created, ...retired, ...stillValid];
+
+  // Write then rename so a running server never reads a half-written file
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keys: kept }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  cache = { file: null, mtimeMs: 0, checkedAt: 0, keys: [] };
+
+  return {
+    kid: created.kid,
+    retired: retired.map(key => key.kid),
+    pruned: pruned.map(key => key.kid)
+  };
+};
+
+module.exports = {
+  getAlgorithm,
+  isAsymmetric,
+  getSigningKey,
+  getVerificationKey,
+  getPublicJwks,
+  checkKeyConfiguration,
+  rotateKeys
+};
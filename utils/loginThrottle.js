@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const LoginThrottle = require('../models/LoginThrottle');
+
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+/**
+ * Build the throttle keys for a login attempt
+ * @param {String} email - Normalized email that was submitted
+ * @param {Object} user - Matching user, if any
+ * @returns {Array} Keys of the form { scope, identifier, userId }
+ */
+const throttleKeys = (email, user) => {
+  const keys = [{ scope: 'email', identifier: email, userId: user ? user.id : null }];
+  if (user) {
+    keys.push({ scope: 'user', identifier: user.id, userId: user.id });
+  }
+  return keys;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Describe why a throttle record currently blocks logins
+ * @param {Object} throttle - LoginThrottle record
+ * @returns {Object|null} { status, retryAfter, message } or null if not blocked
+ */
+const blockFor = (throttle) => {
+  const now = new Date();
+
+  if (throttle.lockedUntil && throttle.lockedUntil > now) {
+    const retryAfter = secondsUntil(throttle.lockedUntil);
+    return {
+      status: 423,
+      retryAfter,
+      message: `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    };
+  }
+
+  if (throttle.nextAttemptAt && throttle.nextAttemptAt > now) {
+    const retryAfter = secondsUntil(throttle.nextAttemptAt);
+    return {
+      status: 429,
+      retryAfter,
+      message: `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check whether any of the keys is currently delayed or locked
+ * @param {Array} keys - Keys from throttleKeys
+ * @returns {Object|null} The most severe block, or null if the attempt may proceed
+ */
+const checkLoginThrottle = async (keys) => {
+  const throttles = await LoginThrottle.findAll({
+    where: {
+      [Op.or]: keys.map(({ scope, identifier }) => ({ scope, identifier }))
+    }
+  });
+
+  const blocks = throttles.map(blockFor).filter(Boolean);
+  if (blocks.length === 0) {
+    return null;
+  }
+
+  // A lockout outranks a delay; otherwise report the longest wait
+  return blocks.sort((a, b) => (b.status - a.status) || (b.retryAfter - a.retryAfter))[0];
+};
+
+/**
+ * Record a failed attempt against every key and apply delays or a lockout
+ * @param {Array} keys - Keys from throttleKeys
+ * @returns {Object|null} Block now in force because of this failure, if any
+ */
+const recordLoginFailure = async (keys) => {
+  const throttles = await sequelize.transaction(async (transaction) => {
+    const updated = [];
+
+    for (const { scope, identifier, userId } of keys) {
+      const [throttle] = await LoginThrottle.findOrCreate({
+        where: { scope, identifier },
+        defaults: { userId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const now = new Date();
+      const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+      const lockExpired = throttle.lockedUntil && throttle.lockedUntil <= now;
+      const stale = !throttle.lastFailedAt || throttle.lastFailedAt < windowStart;
+
+      // Start counting again once failures are old or a lockout has run its course
+      const failedCount = (stale || lockExpired) ? 1 : throttle.failedCount + 1;
+
+      let nextAttemptAt = null;
+      let lockedUntil = lockExpired ? null : throttle.lockedUntil;
+
+      if (failedCount >= LOCKOUT_THRESHOLD) {
+        lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+      } else if (failedCount >= DELAY_AFTER) {
+        const delaySeconds = Math.min(2 ** (failedCount - DELAY_AFTER), MAX_DELAY_SECONDS);
+        nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+      }
+
+      await throttle.update({
+        userId: userId || throttle.userId,
+        failedCount,
+        lastFailedAt: now,
+        nextAttemptAt,
+        lockedUntil
+      }, { transaction });
+
+      updated.push(throttle);
+    }
+
+    return updated;
+  });
+
+  const lock = throttles.map(blockFor).find(block => block && block.status === 423);
+  return lock || null;
+};
+
+/**
+ * Forget failed attempts after a successful login
+ * @param {Array} keys - Keys from throttleKeys
+ */
+const clearLoginFailures = async (keys) => {
+  await LoginThrottle.destroy({
+    where: {
+      [Op.or]: keys.map(({ scope, identifier }) => ({ scope, identifier }))
+    }
+  });
+};
+
+/**
+ * Send a 423/429 response for a blocked login attempt
+ * @param {Object} res - Express response
+ * @param {Object} block - Block from checkLoginThrottle or recordLoginFailure
+ */
+const sendThrottled = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({
+    success: false,
+    message: block.message,
+    retryAfter: block.retryAfter
+  });
+};
+
+module.exports = {
+  throttleKeys,
+  sendThrottled,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Mail transports. Each factory returns an object with an async
+ * `send(message)` method; register additional ones (SMTP, a provider
+ * API, ...) with `registerTransport`.
+ */
+const transports = {
+  // Print messages to stdout, handy for local development
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  // Write each message as an .eml file into MAIL_DIR
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join('logs', 'mail');
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+        const content = [
+          `From: ${message.from}`,
+          `To: ${message.to}`,
+          `Subject: ${message.subject}`,
+          `Date: ${new Date().toUTCString()}`,
+          '',
+          message.text
+        ].join('\n');
+        await fs.writeFile(file, content);
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom mail transport
+ * @param {String} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns an object with an async send(message)
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * Name of the configured transport. Outside production it falls back to
+ * `console`; in production MAIL_TRANSPORT must be set, so reset links and
+ * invitations are never silently printed to the server log instead of sent.
+ * @returns {String} Transport name
+ */
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+/**
+ * Fail fast at startup when no mail transport is configured in production
+ */
+const checkMailConfiguration = () => {
+  getTransportName();
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = getTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'PrimeTrade <no-reply@primetrade.com>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  registerTransport,
+  checkMailConfiguration,
+  sendMail
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ADMIN_ROLE } = require('./rbac');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+let discoveryCache = null;
+let jwksCache = { uri: null, keys: {} };
+
+/**
+ * Read the OpenID Connect settings from the environment
+ * @returns {Object} Provider configuration
+ */
+const getOidcConfig = () => ({
+  enabled: Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3000}/api/v1/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  autoCreate: process.env.OIDC_AUTO_CREATE !== 'false'
+});
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ * @returns {Object} OpenID provider metadata
+ */
+const getDiscovery = async () => {
+  const { issuer } = getOidcConfig();
+
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const response = await fetch(`${issuer}/.well-known/openid-configuration`);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed with status ${response.status}`);
+  }
+
+  const metadata = await response.json();
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error('OIDC discovery issuer does not match OIDC_ISSUER');
+  }
+
+  discoveryCache = { issuer, metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  return metadata;
+};
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Create the per-login random values: state, nonce and a PKCE verifier/challenge pair
+ * @returns {Object} { state, nonce, codeVerifier, codeChallenge }
+ */
+const createAuthorizationRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+/**
+ * Build the URL the browser is sent to for login at the provider
+ * @param {Object} request - Values from createAuthorizationRequest
+ * @returns {String} Authorization URL
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getOidcConfig();
+  const { authorization_endpoint: endpoint } = await getDiscovery();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${endpoint}?${params.toString()}`;
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {String} code - Code from the callback
+ * @param {String} codeVerifier - PKCE verifier created for this login
+ * @returns {Object} Token response from the provider
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getOidcConfig();
+  const { token_endpoint: endpoint } = await getDiscovery();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.clientSecret) {
+    params.set('client_secret', config.clientSecret);
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`OIDC token exchange failed: ${body.error_description || body.error || response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Find the provider's signing key for a key id, refetching the JWKS once if unknown
+ * @param {String} kid - Key id from the ID token header
+ * @returns {Object} Node KeyObject
+ */
+const getSigningKey = async (kid) => {
+  const { jwks_uri: uri } = await getDiscovery();
+
+  if (jwksCache.uri !== uri || !jwksCache.keys[kid]) {
+    const response = await fetch(uri);
+    if (!response.ok) {
+      throw new Error(`OIDC JWKS fetch failed with status ${response.status}`);
+    }
+    const { keys } = await response.json();
+    jwksCache = {
+      uri,
+      keys: Object.fromEntries(
+        keys
+          .filter(key => !key.use || key.use === 'sig')
+          .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])
+      )
+    };
+  }
+
+  const key = jwksCache.keys[kid];
+  if (!key) {
+    throw new Error('OIDC ID token signed with an unknown key');
+  }
+  return key;
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {String} idToken - ID token from the token response
+ * @param {String} nonce - Nonce sent in the authorization request
+ * @returns {Object} Verified claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getOidcConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('OIDC ID token is malformed');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'PS256', 'ES256'],
+    issuer: config.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC ID token nonce mismatch');
+  }
+  return claims;
+};
+
+/**
+ * Map IdP groups to a local role using OIDC_GROUP_ROLE_MAP ("group:role,group:role")
+ * @param {Array} groups - Groups claim from the ID token
+ * @returns {String|null} Role to assign, or null when no mapping applies or
+ *   the user is in none of the mapped groups
+ */
+const mapGroupsToRole = (groups) => {
+  const mapping = (process.env.OIDC_GROUP_ROLE_MAP || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([group, role]) => group && role);
+
+  if (mapping.length === 0 || !Array.isArray(groups)) {
+    return null;
+  }
+
+  const roles = mapping.filter(([group]) => groups.includes(group)).map(([, role]) => role);
+  // Admin wins when a user is in several mapped groups
+  if (roles.includes(ADMIN_ROLE)) {
+    return ADMIN_ROLE;
+  }
+  return roles[0] || null;
+};
+
+module.exports = {
+  getOidcConfig,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapGroupsToRole
+};
@@ -0,0 +1,189 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+const ORGANIZATION_ROLES = ['owner', 'editor', 'viewer'];
+
+// Roles allowed to create, update and delete products in an organization
+const PRODUCT_EDITOR_ROLES = ['owner', 'editor'];
+
+// Request header naming the organization the client is working in
+const ORGANIZATION_HEADER = 'X-Organization-Id';
+
+const PERSONAL_ORGANIZATION_NAME = 'Personal';
+
+/**
+ * Find the user's personal organization, creating it on first use
+ * @param {Object} user - User the organization belongs to
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Object} Organization record
+ */
+const ensurePersonalOrganization = async (user, transaction) => {
+  const existing = await Organization.findOne({ where: { personalUserId: user.id }, transaction });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    // Savepoint when nested, so a lost race does not abort the caller's transaction
+    return await sequelize.transaction({ transaction }, async (t) => {
+      const organization = await Organization.create({
+        name: PERSONAL_ORGANIZATION_NAME,
+        personalUserId: user.id
+      }, { transaction: t });
+      await Membership.create({
+        organizationId: organization.id,
+        userId: user.id,
+        role: 'owner'
+      }, { transaction: t });
+      return organization;
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error instanceof UniqueConstraintError) {
+      return Organization.findOne({ where: { personalUserId: user.id }, transaction });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Look up a user's accepted membership in an organization. Pending
+ * invitations are ignored, as they grant no access.
+ * @param {String} organizationId - Organization id
+ * @param {String} userId - User id
+ * @returns {Object|null} Membership record
+ */
+const findMembership = async (organizationId, userId) => {
+  return Membership.findOne({ where: { organizationId, userId, pending: false } });
+};
+
+/**
+ * Whether the membership is the only owner left in its organization
+ * @param {Object} membership - Membership to check
+ * @returns {Boolean} True if removing or demoting it would leave no owner
+ */
+const isLastOwner = async (membership) => {
+  if (membership.role !== 'owner' || membership.pending) {
+    return false;
+  }
+  const owners = await Membership.count({
+    where: { organizationId: membership.organizationId, role: 'owner', pending: false }
+  });
+  return owners <= 1;
+};
+
+/**
+ * Team organizations the user is the only accepted owner of, which would be
+ * left without anyone to run them if the account went away. Personal
+ * organizations are left out, as they go with their user.
+ * @param {String} userId - User id
+ * @returns {Array<Object>} Organization records with id, name and personalUserId
+ */
+const findSoleOwnedTeams = async (userId) => {
+  const soleOwnerships = await Membership.findAll({
+    where: {
+      userId,
+      role: 'owner',
+      pending: false,
+      [Op.and]: [sequelize.literal(
+        `(SELECT COUNT(*) FROM "memberships" AS "owners" WHERE "owners"."organizationId" = "Membership"."organizationId" AND "owners"."role" = 'owner' AND NOT "owners"."pending") = 1`
+      )]
+    },
+    include: [{ model: Organization, as: 'organization', attributes: ['id', 'name', 'personalUserId'] }]
+  });
+  return soleOwnerships
+    .map(membership => membership.organization)
+    .filter(organization => !organization.isPersonal);
+};
+
+/**
+ * Permanently remove an organization's products, deleted ones included, along
+ * with their variants and stock history. Only for getting rid of a whole
+ * inventory; otherwise the ledger keeps products from being removed.
+ * @param {String} organizationId - Organization whose products go
+ * @param {Object} transaction - Sequelize transaction
+ */
+const purgeOrganizationProducts = async (organizationId, transaction) => {
+  const products = await Product.findAll({
+    where: { organizationId },
+    attributes: ['id'],
+    paranoid: false,
+    transaction
+  });
+  if (products.length === 0) {
+    return;
+  }
+
+  const productIds = products.map(product => product.id);
+  await StockMovement.destroy({ where: { productId: productIds }, transaction });
+  // Variants go with their product (ON DELETE CASCADE)
+  await Product.destroy({ where: { id: productIds }, force: true, transaction });
+};
+
+/**
+ * Move products created before organizations existed into their creator's
+ * personal organization and make products.organizationId required.
+ * Runs before sync so the NOT NULL column can be added to existing rows.
+ * Does nothing on new databases or once the migration has run.
+ */
+const migrateProductsToOrganizations = async () => {
+  const [[products]] = await sequelize.query("SELECT to_regclass('products') AS oid");
+  if (!products.oid) {
+    return;
+  }
+
+  const [[column]] = await sequelize.query(
+    `SELECT is_nullable FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'products' AND column_name = 'organizationId'`
+  );
+  if (column && column.is_nullable === 'NO') {
+    return;
+  }
+
+  await Organization.sync();
+  await Membership.sync();
+
+  await sequelize.transaction(async (transaction) => {
+    if (!column) {
+      await sequelize.query(
+        'ALTER TABLE "products" ADD COLUMN "organizationId" UUID REFERENCES "organizations" ("id") ON DELETE CASCADE',
+        { transaction }
+      );
+    }
+
+    const [owners] = await sequelize.query(
+      'SELECT DISTINCT "userId" FROM "products" WHERE "organizationId" IS NULL',
+      { transaction }
+    );
+    const users = await User.findAll({ where: { id: owners.map(row => row.userId) }, transaction });
+    for (const user of users) {
+      await ensurePersonalOrganization(user, transaction);
+    }
+
+    await sequelize.query(
+      `UPDATE "products" SET "organizationId" = "organizations"."id"
+       FROM "organizations"
+       WHERE "organizations"."personalUserId" = "products"."userId" AND "products"."organizationId" IS NULL`,
+      { transaction }
+    );
+    await sequelize.query('ALTER TABLE "products" ALTER COLUMN "organizationId" SET NOT NULL', { transaction });
+  });
+  console.log('✅ Moved existing products into personal organizations');
+};
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  PRODUCT_EDITOR_ROLES,
+  ORGANIZATION_HEADER,
+  ensurePersonalOrganization,
+  findMembership,
+  isLastOwner,
+  findSoleOwnedTeams,
+  purgeOrganizationProducts,
+  migrateProductsToOrganizations
+};
@@ -0,0 +1,188 @@
+const { Op, Validator } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Largest magnitude a PostgreSQL REAL holds
+const REAL_MAX = 3.4e38;
+
+// What a cursor may hold for each type of sort key, as decoded from JSON.
+// Anything else would make the keyset condition fail in the database.
+const CURSOR_VALUE_CHECKS = {
+  string: value => typeof value === 'string' && !value.includes('\u0000'),
+  integer: value => Number.isSafeInteger(value),
+  real: value => typeof value === 'number' && Math.abs(value) <= REAL_MAX,
+  // DECIMAL columns are read as strings to keep their precision
+  decimal: value => typeof value === 'string' && /^-?\d{1,20}(\.\d{1,20})?$/.test(value),
+  boolean: value => typeof value === 'boolean',
+  // Dates are encoded by JSON.stringify, i.e. as ISO 8601 in UTC
+  date: value => typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value) && !Number.isNaN(Date.parse(value)),
+  uuid: value => typeof value === 'string' && Validator.isUUID(value)
+};
+
+/**
+ * Describe one column of a sort order, for both ORDER BY and keyset conditions
+ * @param {String} attribute - Attribute or alias the row value is read from
+ * @param {String} sql - SQL expression sorted on, e.g. '"Product"."price"'
+ * @param {String} direction - 'ASC' or 'DESC'
+ * @param {Object} options - nullsLast (defaults to PostgreSQL's own choice),
+ *   cast, the SQL type cursor values are cast to before comparing, and type,
+ *   the kind of value a cursor may hold for it (a key of CURSOR_VALUE_CHECKS)
+ * @returns {Object} Sort key
+ */
+const sortKey = (attribute, sql, direction, { nullsLast = direction === 'ASC', cast = null, type = 'string' } = {}) => ({
+  attribute,
+  sql,
+  direction,
+  nullsLast,
+  cast,
+  type
+});
+
+/**
+ * Turn sort keys into a Sequelize order
+ * @param {Array} keys - Keys from sortKey
+ * @returns {Array} Sequelize order
+ */
+const orderFor = (keys) => keys.map(key => [
+  sequelize.literal(key.sql),
+  `${key.direction} NULLS ${key.nullsLast ? 'LAST' : 'FIRST'}`
+]);
+
+// The same order walked backwards
+const reverseKeys = (keys) => keys.map(key => ({
+  ...key,
+  direction: key.direction === 'ASC' ? 'DESC' : 'ASC',
+  nullsLast: !key.nullsLast
+}));
+
+// Identifies the order a cursor was issued for
+const signatureOf = (keys) => keys.map(key => `${key.direction === 'DESC' ? '-' : ''}${key.attribute}`).join(',');
+
+/**
+ * Build the condition selecting rows strictly after the given key values
+ * @param {Array} keys - Keys from sortKey, ending with a unique column
+ * @param {Array} values - Values of the keys in the last row seen
+ * @returns {Object} Sequelize literal
+ */
+const keysetCondition = (keys, values) => {
+  const literal = (key, value) => (key.cast
+    ? `CAST(${sequelize.escape(value)} AS ${key.cast})`
+    : sequelize.escape(value));
+
+  const equal = (key, value) => (value === null
+    ? `${key.sql} IS NULL`
+    : `${key.sql} = ${literal(key, value)}`);
+
+  const after = (key, value) => {
+    if (value === null) {
+      return key.nullsLast ? 'FALSE' : `${key.sql} IS NOT NULL`;
+    }
+    const comparison = `${key.sql} ${key.direction === 'ASC' ? '>' : '<'} ${literal(key, value)}`;
+    return key.nullsLast ? `(${comparison} OR ${key.sql} IS NULL)` : comparison;
+  };
+
+  const clauses = keys.map((key, index) => [
+    ...keys.slice(0, index).map((previous, position) => equal(previous, values[position])),
+    after(key, values[index])
+  ].join(' AND '));
+
+  return sequelize.literal(`(${clauses.map(clause => `(${clause})`).join(' OR ')})`);
+};
+
+/**
+ * Encode the key values of a row as an opaque cursor
+ * @param {Array} keys - Sort keys of the request
+ * @param {Object} row - Model instance the next page starts after (or before)
+ * @param {String} direction - 'next' or 'prev'
+ * @returns {String} base64url cursor
+ */
+const encodeCursor = (keys, row, direction) => {
+  const payload = {
+    s: signatureOf(keys),
+    d: direction,
+    v: keys.map(key => {
+      const value = row.get(key.attribute);
+      return value === undefined ? null : value;
+    })
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor returned by findPage
+ * @param {String} cursor - Opaque cursor from a previous response
+ * @param {Array} keys - Sort keys of the current request
+ * @returns {Object|null} { direction, values }, or null if the cursor is
+ *   malformed, holds a value of the wrong type for its key or was issued for
+ *   a different sort order
+ */
+const decodeCursor = (cursor, keys) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== signatureOf(keys) || !['next', 'prev'].includes(payload.d) ||
+      !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+      return null;
+    }
+    if (!payload.v.every((value, index) => value === null || CURSOR_VALUE_CHECKS[keys[index].type](value))) {
+      return null;
+    }
+    return { direction: payload.d, values: payload.v };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fetch one page of rows, by offset (page) or by keyset (cursor). Either way
+ * the result carries cursors for the neighbouring pages; the exact total is
+ * only counted when asked for.
+ * @param {Object} model - Sequelize model
+ * @param {Object} options - keys, limit, page, cursor (from decodeCursor),
+ *   withCount, plus where, attributes and include for findAll
+ * @returns {Object} { rows, pagination }
+ */
+const findPage = async (model, { keys, limit, page = 1, cursor = null, withCount = false, where, ...options }) => {
+  const backward = cursor !== null && cursor.direction === 'prev';
+  const queryKeys = backward ? reverseKeys(keys) : keys;
+
+  const [rows, total] = await Promise.all([
+    model.findAll({
+      ...options,
+      where: cursor ? { [Op.and]: [where, keysetCondition(queryKeys, cursor.values)] } : where,
+      order: orderFor(queryKeys),
+      // One extra row tells whether another page follows
+      limit: limit + 1,
+      offset: cursor ? 0 : (page - 1) * limit
+    }),
+    withCount ? model.count({ where }) : null
+  ]);
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  if (backward) {
+    pageRows.reverse();
+  }
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+  const hasNext = backward || hasMore;
+  const hasPrevious = backward ? hasMore : cursor !== null || page > 1;
+
+  const pagination = cursor ? { limit } : { page, limit };
+  if (withCount) {
+    pagination.total = total;
+    if (!cursor) {
+      pagination.pages = Math.ceil(total / limit);
+    }
+  }
+  pagination.nextCursor = hasNext && last ? encodeCursor(keys, last, 'next') : null;
+  pagination.prevCursor = hasPrevious && first ? encodeCursor(keys, first, 'prev') : null;
+
+  return { rows: pageRows, pagination };
+};
+
+module.exports = {
+  sortKey,
+  decodeCursor,
+  findPage
+};
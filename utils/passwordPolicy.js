@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const PasswordHistory = require('../models/PasswordHistory');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+// bcrypt ignores everything past 72 bytes, so longer passwords would be silently truncated
+const PASSWORD_MAX_LENGTH = Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || 72, 72);
+// 0 turns reuse checks off
+const PASSWORD_HISTORY_COUNT = process.env.PASSWORD_HISTORY_COUNT === undefined
+  ? 5
+  : Math.max(parseInt(process.env.PASSWORD_HISTORY_COUNT) || 0, 0);
+// Relative paths are resolved from the project root; set to an empty value
+// to skip breached-password screening
+const PASSWORD_BREACHED_LIST = process.env.PASSWORD_BREACHED_LIST === ''
+  ? null
+  : path.resolve(__dirname, '..', process.env.PASSWORD_BREACHED_LIST || 'config/breached-passwords.txt');
+
+const CHARACTER_CLASSES = [
+  {
+    rule: 'uppercase',
+    enabled: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    pattern: /[A-Z]/,
+    message: 'Password must contain an uppercase letter'
+  },
+  {
+    rule: 'lowercase',
+    enabled: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    pattern: /[a-z]/,
+    message: 'Password must contain a lowercase letter'
+  },
+  {
+    rule: 'digit',
+    enabled: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    pattern: /\d/,
+    message: 'Password must contain a number'
+  },
+  {
+    rule: 'symbol',
+    enabled: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    pattern: /[^A-Za-z0-9]/,
+    message: 'Password must contain a symbol'
+  }
+];
+
+let breachedPasswords = null;
+
+/**
+ * Load the breached-password list once; a missing file disables screening
+ * @returns {Set} Lower-cased passwords
+ */
+const loadBreachedPasswords = () => {
+  if (breachedPasswords) {
+    return breachedPasswords;
+  }
+
+  breachedPasswords = new Set();
+  if (!PASSWORD_BREACHED_LIST) {
+    return breachedPasswords;
+  }
+
+  try {
+    const lines = fs.readFileSync(PASSWORD_BREACHED_LIST, 'utf8').split(/\r?\n/);
+    for (const line of lines) {
+      const entry = line.trim();
+      if (entry && !entry.startsWith('#')) {
+        breachedPasswords.add(entry.toLowerCase());
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️  Breached-password list not loaded (${PASSWORD_BREACHED_LIST}): ${error.message}`);
+  }
+  return breachedPasswords;
+};
+
+/**
+ * Whether the password matches one of the user's recent passwords.
+ * The current hash is always checked, so accounts created before password
+ * history existed are covered too.
+ * @param {Object} user - User setting a new password
+ * @param {String} password - Candidate password
+ * @returns {Boolean} True if the password was used recently
+ */
+const isRecentlyUsed = async (user, password) => {
+  const history = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    order: [['createdAt', 'DESC']],
+    limit: PASSWORD_HISTORY_COUNT,
+    attributes: ['passwordHash']
+  });
+
+  const hashes = [...new Set([user.password, ...history.map(entry => entry.passwordHash)])]
+    .slice(0, PASSWORD_HISTORY_COUNT);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Check a password against the policy.
+ * Every broken rule is reported, in the same shape as express-validator
+ * errors plus a `rule` key the client can use.
+ * @param {String} password - Candidate password
+ * @param {Object} options - { field: request body field, user: existing user for reuse checks }
+ * @returns {Array} Validation errors, empty if the password is acceptable
+ */
+const checkPasswordPolicy = async (password, { field = 'password', user } = {}) => {
+  const violations = [];
+  const fail = (rule, msg) => violations.push({ type: 'field', location: 'body', path: field, rule, msg });
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    fail('min_length', `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    fail('max_length', `Password must be at most ${PASSWORD_MAX_LENGTH} bytes long`);
+  }
+
+  for (const characterClass of CHARACTER_CLASSES) {
+    if (characterClass.enabled && !characterClass.pattern.test(password)) {
+      fail(characterClass.rule, characterClass.message);
+    }
+  }
+
+  if (loadBreachedPasswords().has(password.toLowerCase())) {
+    fail('breached', 'This password has appeared in a data breach. Please choose a different one');
+  }
+
+  if (user && PASSWORD_HISTORY_COUNT > 0 && violations.length === 0 && await isRecentlyUsed(user, password)) {
+    fail('reused', PASSWORD_HISTORY_COUNT === 1
+      ? 'New password must be different from the current password'
+      : `Password must not match any of your last ${PASSWORD_HISTORY_COUNT} passwords`);
+  }
+
+  return violations;
+};
+
+/**
+ * Describe the policy so clients can show the rules up front
+ * @returns {Object} Policy settings
+ */
+const getPasswordPolicy = () => ({
+  minLength: PASSWORD_MIN_LENGTH,
+  maxLength: PASSWORD_MAX_LENGTH,
+  ...Object.fromEntries(CHARACTER_CLASSES.map(characterClass => [
+    `require${characterClass.rule[0].toUpperCase()}${characterClass.rule.slice(1)}`,
+    characterClass.enabled
+  ])),
+  breachedPasswordCheck: loadBreachedPasswords().size > 0,
+  historyCount: PASSWORD_HISTORY_COUNT
+});
+
+/**
+ * Store the new hash whenever a password is set and drop entries older
+ * than the history length
+ * @param {Object} user - User that was created or updated
+ * @param {Object} options - Sequelize hook options
+ */
+const recordPasswordHistory = async (user, options) => {
+  if (!user.changed('password') || PASSWORD_HISTORY_COUNT === 0) {
+    return;
+  }
+
+  const { transaction } = options;
+  await PasswordHistory.create({ userId: user.id, passwordHash: user.password }, { transaction });
+
+  const stale = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    order: [['createdAt', 'DESC']],
+    offset: PASSWORD_HISTORY_COUNT,
+    attributes: ['id'],
+    transaction
+  });
+  if (stale.length > 0) {
+    await PasswordHistory.destroy({ where: { id: stale.map(entry => entry.id) }, transaction });
+  }
+};
+
+// Runs after the User hooks have hashed the password
+User.addHook('afterCreate', 'recordPasswordHistory', recordPasswordHistory);
+User.addHook('afterUpdate', 'recordPasswordHistory', recordPasswordHistory);
+
+module.exports = {
+  checkPasswordPolicy,
+  getPasswordPolicy
+};
@@ -0,0 +1,190 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiToken = require('../models/ApiToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const PasswordHistory = require('../models/PasswordHistory');
+const LoginThrottle = require('../models/LoginThrottle');
+const Invitation = require('../models/Invitation');
+const Impersonation = require('../models/Impersonation');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const AuditLog = require('../models/AuditLog');
+const LoginEvent = require('../models/LoginEvent');
+const StockMovement = require('../models/StockMovement');
+const { generateOpaqueToken } = require('./tokens');
+const { recordAudit } = require('./audit');
+
+// Audit actions written for data subject requests
+const DATA_REQUEST_ACTIONS = ['privacy.export', 'privacy.erasure'];
+
+/**
+ * Collect everything stored about a user into one JSON-serializable archive.
+ * Secrets (password and token hashes, MFA secrets) are never included.
+ * @param {Object} user - User whose data is exported
+ * @returns {Object} Archive
+ */
+const buildDataExport = async (user) => {
+  const [products, memberships, sessions, loginEvents, apiTokens, invitations, impersonations, activity, stockMovements] = await Promise.all([
+    Product.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'ASC']]
+    }),
+    Membership.findAll({
+      where: { userId: user.id },
+      include: [{ model: Organization, as: 'organization', attributes: ['id', 'name', 'personalUserId'] }],
+      order: [['createdAt', 'ASC']]
+    }),
+    Session.findAll({
+      where: { userId: user.id },
+      attributes: ['id', 'userAgent', 'ipAddress', 'authMethod', 'lastSeenAt', 'expiresAt', 'revokedAt', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    }),
+    LoginEvent.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'ASC']]
+    }),
+    ApiToken.findAll({
+      where: { userId: user.id },
+      attributes: ['id', 'name', 'tokenPrefix', 'scopes', 'expiresAt', 'lastUsedAt', 'revokedAt', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    }),
+    Invitation.findAll({
+      where: { invitedById: user.id },
+      order: [['createdAt', 'ASC']]
+    }),
+    Impersonation.findAll({
+      where: { [Op.or]: [{ targetUserId: user.id }, { impersonatorId: user.id }] },
+      order: [['createdAt', 'ASC']]
+    }),
+    AuditLog.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'ASC']]
+    }),
+    StockMovement.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'ASC']]
+    })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    products,
+    memberships,
+    sessions,
+    loginEvents,
+    apiTokens,
+    invitationsSent: invitations,
+    impersonations,
+    activity,
+    stockMovements
+  };
+};
+
+/**
+ * Anonymize a user in place. The row and its id are kept so products, audit
+ * entries and other references stay valid, but every personal field is
+ * replaced and all ways of signing in are removed.
+ * @param {Object} user - User to erase
+ * @returns {Object} The anonymized user
+ */
+const eraseUser = async (user) => {
+  const now = new Date();
+  const alias = `erased_${user.id.replace(/-/g, '')}`;
+  const originalEmail = user.email;
+
+  await sequelize.transaction(async (transaction) => {
+    await user.update({
+      username: alias,
+      email: `${alias}@erased.invalid`,
+      // Random password nobody knows; the hooks hash it
+      password: generateOpaqueToken(32),
+      isActive: false,
+      emailVerified: false,
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaRecoveryCodes: [],
+      mfaLastUsedStep: null,
+      oidcIssuer: null,
+      oidcSubject: null,
+      erasedAt: now
+    }, { transaction });
+
+    const where = { userId: user.id };
+    await PasswordHistory.destroy({ where, transaction });
+    await PasswordResetToken.destroy({ where, transaction });
+    await LoginThrottle.destroy({ where, transaction });
+
+    await Session.update(
+      { revokedAt: now },
+      { where: { ...where, revokedAt: null }, transaction }
+    );
+    await Session.update({ userAgent: null, ipAddress: null }, { where, transaction });
+    await LoginEvent.update({ userAgent: null, ipAddress: null }, { where, transaction });
+    await RefreshToken.update(
+      { revokedAt: now },
+      { where: { ...where, revokedAt: null }, transaction }
+    );
+    await ApiToken.update(
+      { revokedAt: now },
+      { where: { ...where, revokedAt: null }, transaction }
+    );
+    await AuditLog.update({ ipAddress: null }, { where, transaction });
+
+    // Invitations sent to the old address would otherwise still name the person
+    await Invitation.update(
+      { revokedAt: now },
+      { where: { email: originalEmail, acceptedAt: null, revokedAt: null }, transaction }
+    );
+    await Invitation.update(
+      { email: `${alias}@erased.invalid` },
+      { where: { email: originalEmail }, transaction }
+    );
+  });
+
+  return user;
+};
+
+/**
+ * Log a data subject request once its response has been sent, so refused
+ * requests are recorded along with completed ones
+ * @param {String} action - 'privacy.export' or 'privacy.erasure'
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} subjectUserId - User the request is about
+ */
+const logDataRequest = (action, req, res, subjectUserId) => {
+  res.on('finish', () => {
+    recordAudit(action, req, {
+      statusCode: res.statusCode,
+      metadata: {
+        subjectUserId,
+        requestedBy: subjectUserId === req.user.id ? 'self' : 'admin'
+      }
+    }).catch(error => console.error('Failed to record data request:', error.message));
+  });
+};
+
+/**
+ * Send an export archive as a file download
+ * @param {Object} res - Express response
+ * @param {Object} user - User the archive belongs to
+ * @param {Object} archive - Result of buildDataExport
+ */
+const sendDataExport = (res, user, archive) => {
+  const date = archive.exportedAt.slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="primetrade-export-${user.id}-${date}.json"`);
+  res.status(200).json(archive);
+};
+
+module.exports = {
+  DATA_REQUEST_ACTIONS,
+  buildDataExport,
+  eraseUser,
+  logDataRequest,
+  sendDataExport
+};
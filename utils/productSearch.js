@@ -0,0 +1,85 @@
+const { sequelize } = require('../config/database');
+const { sortKey } = require('./pagination');
+
+// Text search configuration used for both the stored vector and queries
+const SEARCH_CONFIG = 'english';
+
+// How GET /products?search= matches: ranked full-text search, or the old
+// case-insensitive substring match on the name (which also finds word prefixes)
+const SEARCH_MODES = ['fulltext', 'substring'];
+
+// Marks around matched words in highlights
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_STOP = '</mark>';
+
+// Characters escaped in highlighted text, so the marks are its only markup
+const HTML_ENTITIES = [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["'", '&#39;']];
+
+/**
+ * Wrap a SQL text expression so it is HTML-escaped; '&' goes first so the
+ * other entities are not escaped twice
+ * @param {String} expression - SQL expression
+ * @returns {String} SQL expression of the escaped text
+ */
+const escapeHtmlSql = (expression) => HTML_ENTITIES.reduce(
+  (sql, [character, entity]) => `replace(${sql}, ${sequelize.escape(character)}, '${entity}')`,
+  expression
+);
+
+/**
+ * Add the generated "searchVector" column and its GIN index to products.
+ * Names weigh most, then categories, then descriptions. Sequelize cannot
+ * describe generated columns, so this runs after sync instead of living in
+ * the model, and does nothing once both exist.
+ */
+const setupProductSearch = async () => {
+  await sequelize.query(
+    `ALTER TABLE "products" ADD COLUMN IF NOT EXISTS "searchVector" tsvector
+     GENERATED ALWAYS AS (
+       setweight(to_tsvector('${SEARCH_CONFIG}', coalesce("name", '')), 'A') ||
+       setweight(to_tsvector('${SEARCH_CONFIG}', coalesce("category", '')), 'B') ||
+       setweight(to_tsvector('${SEARCH_CONFIG}', coalesce("description", '')), 'C')
+     ) STORED`
+  );
+  await sequelize.query(
+    'CREATE INDEX IF NOT EXISTS "products_search_vector" ON "products" USING GIN ("searchVector")'
+  );
+};
+
+/**
+ * Build the query pieces for a full-text product search. The search text
+ * uses web search syntax: quoted phrases, "or" and a leading "-" to exclude.
+ * @param {String} search - Text the user searched for
+ * @param {Boolean} highlight - Whether to add highlighted name and description,
+ *   HTML-escaped with matches wrapped in HIGHLIGHT_START and HIGHLIGHT_STOP
+ * @returns {Object} { where, attributes } to merge into a Product query, and
+ *   rankKey, the sort key ordering by relevance
+ */
+const buildFullTextSearch = (search, highlight) => {
+  const tsquery = `websearch_to_tsquery('${SEARCH_CONFIG}', ${sequelize.escape(search)})`;
+  const headline = (column) => sequelize.literal(
+    `ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql(`coalesce("Product"."${column}", '')`)}, ${tsquery}, ` +
+    `'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=20, MinWords=5')`
+  );
+
+  const rank = `ts_rank("Product"."searchVector", ${tsquery})`;
+  const attributes = [[sequelize.literal(rank), 'searchRank']];
+  if (highlight) {
+    attributes.push([headline('name'), 'nameHighlight'], [headline('description'), 'descriptionHighlight']);
+  }
+
+  return {
+    where: sequelize.literal(`"Product"."searchVector" @@ ${tsquery}`),
+    attributes,
+    // ts_rank returns real; cursor values must be compared as real too
+    rankKey: sortKey('searchRank', rank, 'DESC', { cast: 'REAL', type: 'real' })
+  };
+};
+
+module.exports = {
+  SEARCH_MODES,
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  setupProductSearch,
+  buildFullTextSearch
+};
@@ -0,0 +1,152 @@
+const { sequelize } = require('../config/database');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+
+const ADMIN_ROLE = 'admin';
+const DEFAULT_ROLE = 'user';
+
+// Every permission the application checks; seeded into the permissions table on startup
+const PERMISSIONS = {
+  'products:read:own': 'View own products',
+  'products:read:any': 'View every product',
+  'products:create': 'Create products',
+  'products:update:own': 'Update own products',
+  'products:update:any': 'Update any product',
+  'products:delete:own': 'Delete own products',
+  'products:delete:any': 'Delete any product',
+  'users:read': 'View users, their sessions and login lockouts',
+  'users:manage': 'Deactivate, delete and erase users, sign them out and clear login lockouts',
+  'users:impersonate': 'View the application as another user',
+  'users:invite': 'Invite new users and manage pending invitations',
+  'roles:manage': 'Manage roles and assign them to users',
+  'categories:manage': 'Create, rename, move and delete product categories'
+};
+
+// Permissions that control other accounts; roles holding any of them must use 2FA
+const PRIVILEGED_PERMISSIONS = ['roles:manage', 'users:manage', 'users:impersonate'];
+
+// Roles created on first startup. Only admin is kept in sync afterwards; the
+// others can be edited or removed through the roles API.
+const DEFAULT_ROLES = {
+  [ADMIN_ROLE]: {
+    description: 'Full access to everything',
+    isSystem: true,
+    permissions: Object.keys(PERMISSIONS)
+  },
+  [DEFAULT_ROLE]: {
+    description: 'Manages their own products',
+    isSystem: true,
+    permissions: ['products:read:own', 'products:create', 'products:update:own', 'products:delete:own']
+  },
+  viewer: {
+    description: 'Read-only access to all products',
+    isSystem: false,
+    permissions: ['products:read:any']
+  },
+  inventory_manager: {
+    description: 'Maintains every product and its stock',
+    isSystem: false,
+    permissions: ['products:read:any', 'products:create', 'products:update:any', 'products:delete:own']
+  },
+  auditor: {
+    description: 'Read-only access to products and users',
+    isSystem: false,
+    permissions: ['products:read:any', 'users:read']
+  }
+};
+
+/**
+ * Convert users.role from the old ENUM('user', 'admin') column to a
+ * reference to roles.name. Does nothing once the column has been converted.
+ */
+const migrateUserRoleColumn = async () => {
+  const [[column]] = await sequelize.query(
+    `SELECT data_type FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'role'`
+  );
+
+  if (!column || column.data_type !== 'USER-DEFINED') {
+    return;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" DROP DEFAULT', { transaction });
+    await sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" TYPE VARCHAR(50) USING "role"::text', { transaction });
+    await sequelize.query('DROP TYPE IF EXISTS "enum_users_role"', { transaction });
+    await sequelize.query(
+      'ALTER TABLE "users" ADD CONSTRAINT "users_role_fkey" FOREIGN KEY ("role") REFERENCES "roles" ("name") ON UPDATE CASCADE',
+      { transaction }
+    );
+  });
+  console.log('✅ Migrated users.role to the roles table');
+};
+
+/**
+ * Create the role tables, seed permissions and default roles, and migrate
+ * existing users. Safe to run on every startup.
+ */
+const setupRoles = async () => {
+  await Permission.sync();
+  await Role.sync();
+  await Role.associations.permissions.through.model.sync();
+
+  for (const [key, description] of Object.entries(PERMISSIONS)) {
+    const [permission] = await Permission.findOrCreate({ where: { key }, defaults: { description } });
+    // Descriptions follow the code as permissions grow
+    if (permission.description !== description) {
+      await permission.update({ description });
+    }
+  }
+
+  const permissions = await Permission.findAll();
+  for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+    const [role, created] = await Role.findOrCreate({
+      where: { name },
+      defaults: { description: definition.description, isSystem: definition.isSystem }
+    });
+    // Admin always holds every permission, including ones added in later releases
+    if (created || name === ADMIN_ROLE) {
+      await role.setPermissions(permissions.filter(permission => definition.permissions.includes(permission.key)));
+    }
+  }
+
+  await migrateUserRoleColumn();
+};
+
+/**
+ * Load the permission keys granted to a role
+ * @param {String} roleName - Role name from users.role
+ * @returns {Array} Permission keys
+ */
+const getRolePermissions = async (roleName) => {
+  const role = await Role.findOne({
+    where: { name: roleName },
+    include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }]
+  });
+  return role ? role.permissions.map(permission => permission.key) : [];
+};
+
+/**
+ * Whether the user is the only active admin, who must not lose the role
+ * @param {Object} user - User about to be demoted, deactivated or deleted
+ * @returns {Boolean} True if no other active admin exists
+ */
+const isLastAdmin = async (user) => {
+  if (user.role !== ADMIN_ROLE || !user.isActive) {
+    return false;
+  }
+  const admins = await User.count({ where: { role: ADMIN_ROLE, isActive: true } });
+  return admins <= 1;
+};
+
+module.exports = {
+  ADMIN_ROLE,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  PRIVILEGED_PERMISSIONS,
+  DEFAULT_ROLES,
+  setupRoles,
+  getRolePermissions,
+  isLastAdmin
+};
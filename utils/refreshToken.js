@@ -0,0 +1,231 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken } = require('./jwt');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Avoid a write on every request just to bump lastSeenAt
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Persist a new refresh token for a session
+ * @param {Object} user - User the token is issued to
+ * @param {String} familyId - Session the token belongs to
+ * @param {Date} expiresAt - Token expiry
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Object} Raw token and stored record
+ */
+const createRefreshToken = async (user, familyId, expiresAt, transaction) => {
+  const token = generateOpaqueToken(48);
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(token),
+    familyId,
+    userId: user.id,
+    expiresAt
+  }, { transaction });
+
+  return { token, record };
+};
+
+/**
+ * Start a session and issue its access and refresh tokens
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request, used to record user agent and IP
+ * @param {Object} options - { authMethod: 'password' or 'oidc' }
+ * @returns {Object} Access token and refresh token
+ */
+const issueTokens = async (user, req, { authMethod = 'password' } = {}) => {
+  const expiresAt = refreshExpiry();
+
+  const { session, refreshToken } = await sequelize.transaction(async (transaction) => {
+    const created = await Session.create({
+      userId: user.id,
+      userAgent: (req.get('User-Agent') || '').slice(0, 500) || null,
+      ipAddress: req.ip || null,
+      lastSeenAt: new Date(),
+      expiresAt,
+      authMethod
+    }, { transaction });
+
+    const { token } = await createRefreshToken(user, created.id, expiresAt, transaction);
+    return { session: created, refreshToken: token };
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke a session and every refresh token issued for it
+ * @param {String} sessionId - Session to revoke
+ */
+const revokeSession = async (sessionId) => {
+  const now = new Date();
+  await sequelize.transaction(async (transaction) => {
+    await Session.update(
+      { revokedAt: now },
+      { where: { id: sessionId, revokedAt: null }, transaction }
+    );
+    await RefreshToken.update(
+      { revokedAt: now },
+      { where: { familyId: sessionId, revokedAt: null }, transaction }
+    );
+  });
+};
+
+/**
+ * Revoke every session of a user
+ * @param {String} userId - User whose sessions are revoked
+ * @param {Object} options - { except: sessionId to keep signed in }
+ */
+const revokeUserSessions = async (userId, { except } = {}) => {
+  const now = new Date();
+  await sequelize.transaction(async (transaction) => {
+    await Session.update(
+      { revokedAt: now },
+      {
+        where: {
+          userId,
+          revokedAt: null,
+          ...(except && { id: { [Op.ne]: except } })
+        },
+        transaction
+      }
+    );
+    await RefreshToken.update(
+      { revokedAt: now },
+      {
+        where: {
+          userId,
+          revokedAt: null,
+          ...(except && { familyId: { [Op.ne]: except } })
+        },
+        transaction
+      }
+    );
+  });
+};
+
+/**
+ * Find a session that has been neither revoked nor expired
+ * @param {String} sessionId - Session id from the access token
+ * @returns {Object|null} Session record
+ */
+const getActiveSession = async (sessionId) => {
+  return Session.findOne({
+    where: {
+      id: sessionId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * Record activity on a session
+ * @param {Object} session - Session record
+ * @param {Object} req - Express request
+ */
+const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+  await session.update({ lastSeenAt: new Date(), ipAddress: req.ip || session.ipAddress });
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting an already rotated token revokes the whole session, since
+ * it means the token was copied and used by someone else.
+ * @param {String} token - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Object|null} User and new tokens, or null if the token is not usable
+ */
+const rotateRefreshToken = async (token, req) => {
+  const current = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!current) {
+    return null;
+  }
+
+  if (current.revokedAt) {
+    await revokeSession(current.familyId);
+    return null;
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const session = await getActiveSession(current.familyId);
+  const user = await User.findByPk(current.userId);
+  if (!session || !user || !user.isActive) {
+    await revokeSession(current.familyId);
+    return null;
+  }
+
+  const refreshToken = await sequelize.transaction(async (transaction) => {
+    const expiresAt = refreshExpiry();
+    const { token: next, record } = await createRefreshToken(user, current.familyId, expiresAt, transaction);
+    // Conditional update so two concurrent refreshes cannot both succeed
+    const [updated] = await RefreshToken.update(
+      { revokedAt: new Date(), replacedById: record.id },
+      { where: { id: current.id, revokedAt: null }, transaction }
+    );
+    if (updated === 0) {
+      await record.destroy({ transaction });
+      return null;
+    }
+    await session.update({
+      expiresAt,
+      lastSeenAt: new Date(),
+      ipAddress: req.ip || session.ipAddress
+    }, { transaction });
+    return next;
+  });
+
+  if (!refreshToken) {
+    await revokeSession(current.familyId);
+    return null;
+  }
+
+  return {
+    user,
+    token: generateToken(user, current.familyId),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {String} token - Raw refresh token
+ */
+const revokeRefreshToken = async (token) => {
+  const current = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (current) {
+    await revokeSession(current.familyId);
+  }
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSession,
+  touchSession
+};
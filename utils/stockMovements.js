@@ -0,0 +1,199 @@
+const { sequelize } = require('../config/database');
+const ProductVariant = require('../models/ProductVariant');
+const StockMovement = require('../models/StockMovement');
+const { recalculateProductStock } = require('./variants');
+
+const STOCK_MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'return'];
+
+// Largest quantity one movement may move, in either direction
+const MAX_MOVEMENT_QUANTITY = 1000000;
+
+// Largest stock a product or variant may hold: the top of a Postgres integer
+const MAX_STOCK = 2147483647;
+
+/**
+ * Signed stock change of a movement: receipts and returns add stock, sales
+ * remove it and adjustments carry their own sign
+ * @param {String} type - One of STOCK_MOVEMENT_TYPES
+ * @param {Number} quantity - Quantity from the request
+ * @returns {Number} Change to apply
+ */
+const signedQuantity = (type, quantity) => (type === 'sale' ? -quantity : quantity);
+
+/**
+ * Change the stock of a product, or of one of its variants, and append the
+ * movement to the ledger. Call in a transaction after locking the product.
+ * @param {Object} product - Locked product record
+ * @param {Object} movement - type, signed quantity, reason, userId and, for
+ *   products with variants, the variant record
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Object} { movement }, or { error } when stock would drop below
+ *   zero or, for the product or its variants' total, go above MAX_STOCK
+ */
+const applyStockMovement = async (product, { variant = null, type, quantity, reason = null, userId = null }, transaction) => {
+  const target = variant || product;
+  const stockAfter = target.stock + quantity;
+  if (stockAfter < 0) {
+    return { error: `Not enough stock: ${target.stock} available` };
+  }
+  if (product.stock + quantity > MAX_STOCK) {
+    return { error: `Stock cannot exceed ${MAX_STOCK}` };
+  }
+
+  await target.update({ stock: stockAfter }, { transaction });
+  if (variant) {
+    await recalculateProductStock(product, transaction);
+  }
+
+  const movement = await StockMovement.create({
+    productId: product.id,
+    variantId: variant ? variant.id : null,
+    type,
+    quantity,
+    stockAfter,
+    reason,
+    userId
+  }, { transaction });
+  return { movement };
+};
+
+/**
+ * Record the adjustment that brings a product's or variant's stock to the
+ * given level. Does nothing when it is already there.
+ * @param {Object} product - Locked product record
+ * @param {Number} stock - Stock to end up with
+ * @param {Object} details - reason, userId and optional variant record
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Object} { movement } when one was recorded
+ */
+const adjustStockTo = async (product, stock, { variant = null, reason, userId = null }, transaction) => {
+  const current = (variant || product).stock;
+  if (stock === current) {
+    return {};
+  }
+  return applyStockMovement(product, { variant, type: 'adjustment', quantity: stock - current, reason, userId }, transaction);
+};
+
+/**
+ * Compare a product's stock, and that of each variant, with the sum of the
+ * movements recorded for it
+ * @param {Object} product - Product record
+ * @returns {Object} stock, movementTotal, difference, balanced and variants
+ */
+const reconcileStock = async (product) => {
+  const [variants, totals] = await Promise.all([
+    ProductVariant.findAll({
+      where: { productId: product.id },
+      attributes: ['id', 'sku', 'stock'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    }),
+    StockMovement.findAll({
+      where: { productId: product.id },
+      attributes: ['variantId', [sequelize.fn('SUM', sequelize.col('quantity')), 'total']],
+      group: ['variantId'],
+      raw: true
+    })
+  ]);
+
+  const totalFor = (variantId) => Number(totals.find(row => row.variantId === variantId)?.total || 0);
+  const balance = (stock, movementTotal) => ({
+    stock,
+    movementTotal,
+    difference: stock - movementTotal,
+    balanced: stock === movementTotal
+  });
+
+  return {
+    ...balance(product.stock, totals.reduce((sum, row) => sum + Number(row.total), 0)),
+    variants: variants.map(variant => ({
+      id: variant.id,
+      sku: variant.sku,
+      ...balance(variant.stock, totalFor(variant.id))
+    }))
+  };
+};
+
+/**
+ * Make the ledger's references to products and variants ON DELETE RESTRICT
+ * in databases created when deleting a product erased its movements and
+ * deleting a variant cleared their variantId. Sync does not run in
+ * production, so this does not rely on it. Safe to run on every startup.
+ */
+const restrictStockMovementReferences = async () => {
+  const [[table]] = await sequelize.query("SELECT to_regclass('stock_movements') AS oid");
+  if (!table.oid) {
+    return;
+  }
+
+  const references = [
+    { column: 'productId', table: 'products' },
+    { column: 'variantId', table: 'product_variants' }
+  ];
+  for (const reference of references) {
+    const [constraints] = await sequelize.query(
+      `SELECT c.conname FROM pg_constraint c
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+       WHERE c.conrelid = 'stock_movements'::regclass AND c.contype = 'f'
+         AND a.attname = :column AND c.confdeltype <> 'r'`,
+      { replacements: { column: reference.column } }
+    );
+    if (constraints.length === 0) {
+      continue;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { conname } of constraints) {
+        await sequelize.query(`ALTER TABLE "stock_movements" DROP CONSTRAINT "${conname}"`, { transaction });
+      }
+      await sequelize.query(
+        `ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_${reference.column}_fkey"
+         FOREIGN KEY ("${reference.column}") REFERENCES "${reference.table}" ("id") ON UPDATE CASCADE ON DELETE RESTRICT`,
+        { transaction }
+      );
+    });
+    console.log(`✅ Stock movements now keep their ${reference.table.replace('_', ' ')}`);
+  }
+};
+
+/**
+ * Give every product and variant with stock but no movements yet an
+ * opening balance, so stock that predates the ledger reconciles. Creates the
+ * table when missing, as sync does not run in production.
+ */
+const recordOpeningBalances = async () => {
+  await StockMovement.sync();
+
+  const [products] = await sequelize.query(
+    `INSERT INTO "stock_movements" ("id", "productId", "type", "quantity", "stockAfter", "reason", "createdAt")
+     SELECT gen_random_uuid(), p."id", 'adjustment', p."stock", p."stock", 'Opening balance', NOW()
+     FROM "products" p
+     WHERE p."stock" <> 0 AND p."deletedAt" IS NULL
+       AND NOT EXISTS (SELECT 1 FROM "product_variants" v WHERE v."productId" = p."id" AND v."deletedAt" IS NULL)
+       AND NOT EXISTS (SELECT 1 FROM "stock_movements" m WHERE m."productId" = p."id")
+     RETURNING "id"`
+  );
+  const [variants] = await sequelize.query(
+    `INSERT INTO "stock_movements" ("id", "productId", "variantId", "type", "quantity", "stockAfter", "reason", "createdAt")
+     SELECT gen_random_uuid(), v."productId", v."id", 'adjustment', v."stock", v."stock", 'Opening balance', NOW()
+     FROM "product_variants" v
+     WHERE v."stock" <> 0 AND v."deletedAt" IS NULL
+       AND NOT EXISTS (SELECT 1 FROM "stock_movements" m WHERE m."variantId" = v."id")
+     RETURNING "id"`
+  );
+
+  if (products.length + variants.length > 0) {
+    console.log(`✅ Recorded opening stock balances for ${products.length} products and ${variants.length} variants`);
+  }
+};
+
+module.exports = {
+  STOCK_MOVEMENT_TYPES,
+  MAX_MOVEMENT_QUANTITY,
+  MAX_STOCK,
+  signedQuantity,
+  applyStockMovement,
+  adjustStockTo,
+  reconcileStock,
+  restrictStockMovementReferences,
+  recordOpeningBalances
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random opaque token
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} Hex encoded token
+ */
+const generateOpaqueToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {String} token - Raw token
+ * @returns {String} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken
+};
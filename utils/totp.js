@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string, padding and case ignored
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Moving factor
+ * @returns {String} Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ * @param {Number} time - Unix time in milliseconds
+ * @returns {Number} Time step counter
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the TOTP code for a point in time (RFC 6238)
+ * @param {String} secret - Base32 secret
+ * @param {Number} time - Unix time in milliseconds
+ * @returns {String} Six digit code
+ */
+const generateCode = (secret, time = Date.now()) => {
+  return hotp(secret, timeStep(time));
+};
+
+/**
+ * Check a code against the current step and its neighbours to allow clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of steps accepted either side of now
+ * @returns {Number|null} Matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const current = timeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ * @param {String} secret - Base32 secret
+ * @param {String} account - Account label, usually the email
+ * @param {String} issuer - Service name shown in the app
+ * @returns {String} otpauth URI
+ */
+const buildOtpauthUri = (secret, account, issuer = 'PrimeTrade') => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};
@@ -0,0 +1,179 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Organization = require('../models/Organization');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+
+// Most option attributes (size, color, ...) one variant may have
+const MAX_VARIANT_OPTIONS = 10;
+
+const OPTION_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9 _-]{0,49}$/;
+
+// Letters, digits and . _ - /, starting with a letter or digit
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._/-]{0,63}$/;
+
+// Number of variants, added to product list and detail responses
+const variantCountAttribute = [
+  sequelize.literal('(SELECT COUNT(*)::int FROM "product_variants" WHERE "product_variants"."productId" = "Product"."id" AND "product_variants"."deletedAt" IS NULL)'),
+  'variantCount'
+];
+
+/**
+ * Whether a request value is a valid set of variant options: an object of
+ * up to MAX_VARIANT_OPTIONS names mapped to non-empty strings
+ * @param {*} options - Value from the request body
+ * @returns {Boolean} True if valid
+ */
+const isValidOptions = (options) => {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    return false;
+  }
+  const entries = Object.entries(options);
+  return entries.length <= MAX_VARIANT_OPTIONS && entries.every(([name, value]) =>
+    OPTION_NAME_PATTERN.test(name.trim()) &&
+    typeof value === 'string' && value.trim().length >= 1 && value.trim().length <= 100
+  );
+};
+
+/**
+ * Trim option names and values
+ * @param {Object} options - Options that passed isValidOptions
+ * @returns {Object} Cleaned options
+ */
+const normalizeOptions = (options) => Object.fromEntries(
+  Object.entries(options).map(([name, value]) => [name.trim(), value.trim()])
+);
+
+/**
+ * Whether another variant of the product already has exactly these options
+ * @param {String} productId - Product the variants belong to
+ * @param {Object} options - Options to look for (order of keys does not matter)
+ * @param {Object} transaction - Sequelize transaction
+ * @param {String} excludeId - Variant being updated, if any
+ * @returns {Boolean} True if the combination is taken
+ */
+const optionsTaken = async (productId, options, transaction, excludeId = null) => {
+  const variants = await ProductVariant.findAll({
+    where: {
+      productId,
+      [Op.and]: [sequelize.where(sequelize.col('options'), Op.eq, sequelize.literal(`${sequelize.escape(JSON.stringify(options))}::jsonb`))]
+    },
+    attributes: ['id'],
+    transaction
+  });
+  return variants.some(variant => variant.id !== excludeId);
+};
+
+/**
+ * Serialize SKU changes within an organization for the rest of the
+ * transaction, so two requests cannot both take the same SKU. Does not keep
+ * products from being added to the organization meanwhile.
+ * @param {String} organizationId - Organization whose SKUs will change
+ * @param {Object} transaction - Sequelize transaction
+ */
+const lockOrganizationSkus = async (organizationId, transaction) => {
+  await Organization.findByPk(organizationId, {
+    attributes: ['id'],
+    lock: transaction.LOCK.NO_KEY_UPDATE,
+    transaction
+  });
+};
+
+/**
+ * Whether a live variant in the organization already uses the SKU. Variants
+ * of deleted products do not count. Call after lockOrganizationSkus.
+ * @param {String} organizationId - Organization of the variant's product
+ * @param {String} sku - Upper-case SKU
+ * @param {Object} transaction - Sequelize transaction
+ * @param {String} excludeId - Variant being updated, if any
+ * @returns {Boolean} True if the SKU is taken
+ */
+const skuTaken = async (organizationId, sku, transaction, excludeId = null) => {
+  const variants = await ProductVariant.findAll({
+    where: { sku },
+    attributes: ['id'],
+    include: [{ model: Product, as: 'product', attributes: [], where: { organizationId } }],
+    transaction
+  });
+  return variants.some(variant => variant.id !== excludeId);
+};
+
+/**
+ * SKUs of live variants that two organizations both use, which would clash
+ * if one inventory were moved into the other
+ * @param {String} fromId - Organization whose products would move
+ * @param {String} toId - Organization they would move into
+ * @returns {Array<String>} Shared SKUs, sorted
+ */
+const sharedSkus = async (fromId, toId) => {
+  const [rows] = await sequelize.query(
+    `SELECT DISTINCT v."sku" FROM "product_variants" v
+     JOIN "products" p ON p."id" = v."productId" AND p."deletedAt" IS NULL
+     WHERE p."organizationId" = :fromId AND v."deletedAt" IS NULL
+       AND EXISTS (
+         SELECT 1 FROM "product_variants" w
+         JOIN "products" q ON q."id" = w."productId" AND q."deletedAt" IS NULL
+         WHERE q."organizationId" = :toId AND w."sku" = v."sku" AND w."deletedAt" IS NULL
+       )
+     ORDER BY v."sku"`,
+    { replacements: { fromId, toId } }
+  );
+  return rows.map(row => row.sku);
+};
+
+/**
+ * Set a product's stock to the total of its variants, or 0 once the last
+ * one is gone. Call in the transaction that changed the variants, after
+ * locking the product row so concurrent changes add up.
+ * @param {Object} product - Locked product record
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Number} New product stock
+ */
+const recalculateProductStock = async (product, transaction) => {
+  const total = await ProductVariant.sum('stock', { where: { productId: product.id }, transaction });
+  await product.update({ stock: total || 0 }, { transaction });
+  return product.stock;
+};
+
+/**
+ * Drop the database-wide unique constraints on sku from before, which sync
+ * leaves in place, and create the per-product index that backs up skuTaken,
+ * as sync does not run in production. Safe to run on every startup.
+ */
+const setupVariantSkuIndex = async () => {
+  const [[variants]] = await sequelize.query("SELECT to_regclass('product_variants') AS oid");
+  if (!variants.oid) {
+    return;
+  }
+
+  const [constraints] = await sequelize.query(
+    `SELECT c.conname FROM pg_constraint c
+     JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+     WHERE c.conrelid = 'product_variants'::regclass AND c.contype = 'u'
+       AND array_length(c.conkey, 1) = 1 AND a.attname = 'sku'`
+  );
+  for (const { conname } of constraints) {
+    await sequelize.query(`ALTER TABLE "product_variants" DROP CONSTRAINT "${conname}"`);
+  }
+
+  await sequelize.query(
+    'CREATE UNIQUE INDEX IF NOT EXISTS "product_variants_product_sku" ON "product_variants" ("productId", "sku") WHERE "deletedAt" IS NULL'
+  );
+  if (constraints.length > 0) {
+    console.log('✅ Variant SKUs are no longer unique across organizations');
+  }
+};
+
+module.exports = {
+  MAX_VARIANT_OPTIONS,
+  SKU_PATTERN,
+  variantCountAttribute,
+  isValidOptions,
+  normalizeOptions,
+  optionsTaken,
+  lockOrganizationSkus,
+  skuTaken,
+  sharedSkus,
+  recalculateProductStock,
+  setupVariantSkuIndex
+};